@@ -0,0 +1,79 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { createKeyStore, validateKeyOptions, KEY_LIMITS } from '../src/apiKeys.js';
+
+// Manage API keys without a running server:
+//
+//   node scripts/api-keys.js create <name> [--scopes read,render] [--maxConcurrentJobs 2]
+//                                          [--renderMinutesPerDay 60] [--storageBytes 10737418240]
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js update <id> [--name <name>] [--scopes ...] [--<limit> <value|none>]
+//   node scripts/api-keys.js revoke <id>
+//
+// Keys are stored in $DATA_DIR/keys.json (default ./data), which the server re-reads on change.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const keys = createKeyStore({ storePath: path.join(dataDir, 'keys.json') });
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+// Parse --flag value pairs into key options
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const flag = args[i];
+    const value = args[i + 1];
+    if (!flag.startsWith('--') || value === undefined) {
+      fail(`Expected --option value, got: ${args.slice(i).join(' ')}`);
+    }
+    const name = flag.slice(2);
+    if (name === 'name') {
+      options.name = value;
+    } else if (name === 'scopes') {
+      options.scopes = value.split(',').map(scope => scope.trim()).filter(Boolean);
+    } else if (KEY_LIMITS.includes(name)) {
+      options.limits = { ...options.limits, [name]: value === 'none' ? null : Number(value) };
+    } else {
+      fail(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+};
+
+const [command, target, ...rest] = process.argv.slice(2);
+
+switch (command) {
+  case 'create': {
+    const options = { ...parseOptions(rest), name: target };
+    const error = validateKeyOptions(options);
+    if (error) fail(error);
+    const { key, record } = keys.create(options);
+    console.log(JSON.stringify(record, null, 2));
+    console.log(`\nAPI key (shown only once): ${key}`);
+    break;
+  }
+  case 'list':
+    console.log(JSON.stringify(keys.list(), null, 2));
+    break;
+  case 'update': {
+    if (!keys.get(target)) fail(`Key not found: ${target}`);
+    const options = parseOptions(rest);
+    const error = validateKeyOptions(options, { partial: true });
+    if (error) fail(error);
+    console.log(JSON.stringify(keys.update(target, options), null, 2));
+    break;
+  }
+  case 'revoke':
+    if (!keys.get(target)) fail(`Key not found: ${target}`);
+    console.log(JSON.stringify(keys.revoke(target), null, 2));
+    break;
+  default:
+    fail('Usage: node scripts/api-keys.js <create|list|update|revoke> ...');
+}
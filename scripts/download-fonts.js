@@ -31,6 +31,19 @@ const FONTS = [
   {
     name: 'Roboto-Black.ttf',
     url: 'https://fonts.gstatic.com/s/roboto/v30/KFOlCnqEu92Fr1MmYUtvAw.ttf'
+  },
+  // Fallbacks for right-to-left scripts and emoji
+  {
+    name: 'NotoSansArabic-Regular.ttf',
+    url: 'https://raw.githubusercontent.com/notofonts/notofonts.github.io/main/fonts/NotoSansArabic/hinted/ttf/NotoSansArabic-Regular.ttf'
+  },
+  {
+    name: 'NotoSansHebrew-Regular.ttf',
+    url: 'https://raw.githubusercontent.com/notofonts/notofonts.github.io/main/fonts/NotoSansHebrew/hinted/ttf/NotoSansHebrew-Regular.ttf'
+  },
+  {
+    name: 'NotoEmoji-Regular.ttf',
+    url: 'https://raw.githubusercontent.com/google/fonts/main/ofl/notoemoji/NotoEmoji%5Bwght%5D.ttf'
   }
 ];
 
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import path from "path";
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// API keys with scopes, quotas and daily render-time usage. Only a SHA-256
+// hash of each key is stored; the key itself is shown once, on creation.
+//
+// The store is shared with scripts/api-keys.js, so it re-reads the file
+// whenever another process has changed it.
+
+// read: GET routes, write: uploads/deletes/saved resources, render: queue and
+// cancel jobs, admin: manage keys and shared fonts/styles (implies all others)
+export const API_KEY_SCOPES = ["read", "write", "render", "admin"];
+export const DEFAULT_SCOPES = ["read", "write", "render"];
+
+// Per-key limits; null means unlimited
+export const KEY_LIMITS = ["maxConcurrentJobs", "renderMinutesPerDay", "storageBytes"];
+
+const KEY_PREFIX = "ffmux_";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Usage is counted per UTC day
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+// Key record without its hash
+const describeKey = ({ hash, ...record }) => record;
+
+// Check { name, scopes, limits } of a new key, or of an update when `partial`.
+// Returns an error message or null.
+export function validateKeyOptions({ name, scopes, limits }, { partial = false } = {}) {
+  if ((!partial || name !== undefined) && (typeof name !== "string" || !name.trim())) {
+    return "Keys need a name";
+  }
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return "scopes must be a non-empty array";
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(", ")} (valid: ${API_KEY_SCOPES.join(", ")})`;
+    }
+  }
+  if (limits !== undefined) {
+    if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+      return "limits must be an object";
+    }
+    for (const [limit, value] of Object.entries(limits)) {
+      if (!KEY_LIMITS.includes(limit)) {
+        return `Unknown limit: ${limit} (valid: ${KEY_LIMITS.join(", ")})`;
+      }
+      if (value !== null && !(typeof value === "number" && Number.isFinite(value) && value >= 0)) {
+        return `${limit} must be a non-negative number or null`;
+      }
+    }
+  }
+  return null;
+}
+
+export const hasScope = (key, scope) => key.scopes.includes("admin") || key.scopes.includes(scope);
+
+export function createKeyStore({ storePath }) {
+  fs.ensureDirSync(path.dirname(storePath));
+  let data = { keys: {}, usage: {} };
+  let loadedMtime = null;
+
+  // (Re)load the store when the file changed since the last read
+  const load = () => {
+    let mtime;
+    try {
+      mtime = fs.statSync(storePath).mtimeMs;
+    } catch (error) {
+      return;
+    }
+    if (mtime === loadedMtime) return;
+    try {
+      const stored = fs.readJsonSync(storePath);
+      data = { keys: stored.keys || {}, usage: stored.usage || {} };
+      loadedMtime = mtime;
+    } catch (error) {
+      console.error("Failed to read API keys:", error);
+    }
+  };
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, data, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+    loadedMtime = fs.statSync(storePath).mtimeMs;
+  };
+
+  load();
+
+  return {
+    list() {
+      load();
+      return Object.values(data.keys)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(describeKey);
+    },
+
+    get(id) {
+      load();
+      return data.keys[id] ? describeKey(data.keys[id]) : null;
+    },
+
+    // Returns { key, record }; the plain key is not kept
+    create({ name, scopes = DEFAULT_SCOPES, limits = {} }) {
+      load();
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+      const record = {
+        id: uuidv4(),
+        name: name.trim(),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        scopes: [...new Set(scopes)],
+        limits: Object.fromEntries(KEY_LIMITS.map(limit => [limit, limits[limit] ?? null])),
+        createdAt: Date.now(),
+        revokedAt: null
+      };
+      data.keys[record.id] = record;
+      persist();
+      return { key, record: describeKey(record) };
+    },
+
+    update(id, { name, scopes, limits }) {
+      load();
+      const record = data.keys[id];
+      if (name !== undefined) record.name = name.trim();
+      if (scopes !== undefined) record.scopes = [...new Set(scopes)];
+      if (limits !== undefined) record.limits = { ...record.limits, ...limits };
+      persist();
+      return describeKey(record);
+    },
+
+    // Revoked keys stay listed so their namespace can still be traced
+    revoke(id) {
+      load();
+      data.keys[id].revokedAt = data.keys[id].revokedAt || Date.now();
+      persist();
+      return describeKey(data.keys[id]);
+    },
+
+    // Key record for a presented key, or null when unknown or revoked
+    authenticate(key) {
+      if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+      load();
+      const hash = hashKey(key);
+      const record = Object.values(data.keys).find(candidate => candidate.hash === hash);
+      return record && !record.revokedAt ? describeKey(record) : null;
+    },
+
+    // Render minutes used today (UTC)
+    renderMinutesToday(id) {
+      load();
+      const usage = data.usage[id];
+      return usage && usage.day === currentDay() ? usage.renderMs / 60000 : 0;
+    },
+
+    addRenderTime(id, ms) {
+      load();
+      const day = currentDay();
+      const usage = data.usage[id] && data.usage[id].day === day ? data.usage[id] : { day, renderMs: 0 };
+      usage.renderMs += ms;
+      data.usage[id] = usage;
+      persist();
+    }
+  };
+}
@@ -0,0 +1,55 @@
+// Mix-level audio options: loudness normalization targets and ducking settings.
+
+// Streaming platforms normalize to around -14 LUFS
+export const DEFAULT_LOUDNESS = {
+  integrated: -14,
+  truePeak: -1.5,
+  range: 11
+};
+
+// sidechaincompress settings for `duck: true`. threshold is the voice level
+// (linear, 0-1) above which music is pulled down; attack/release are in ms.
+export const DEFAULT_DUCKING = {
+  threshold: 0.03,
+  ratio: 8,
+  attack: 20,
+  release: 400
+};
+
+const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// `loudness: -14` or { integrated, truePeak, range } -> loudnorm settings, or null when off.
+// Throws on values loudnorm would reject.
+export function resolveLoudness(loudness) {
+  if (loudness === undefined || loudness === null || loudness === false) return null;
+  const settings = typeof loudness === 'number'
+    ? { ...DEFAULT_LOUDNESS, integrated: loudness }
+    : { ...DEFAULT_LOUDNESS, ...loudness };
+
+  if (!inRange(settings.integrated, -70, -5)) {
+    throw new Error('Loudness target must be between -70 and -5 LUFS');
+  }
+  if (!inRange(settings.truePeak, -9, 0)) {
+    throw new Error('Loudness truePeak must be between -9 and 0 dBTP');
+  }
+  if (!inRange(settings.range, 1, 50)) {
+    throw new Error('Loudness range must be between 1 and 50 LU');
+  }
+  return settings;
+}
+
+// `duck: true` or { threshold, ratio, attack, release } -> sidechaincompress settings
+export function resolveDuckOptions(duck) {
+  const settings = duck === true ? { ...DEFAULT_DUCKING } : { ...DEFAULT_DUCKING, ...duck };
+
+  if (!inRange(settings.threshold, 0.000976563, 1)) {
+    throw new Error('Duck threshold must be between 0.001 and 1');
+  }
+  if (!inRange(settings.ratio, 1, 20)) {
+    throw new Error('Duck ratio must be between 1 and 20');
+  }
+  if (!inRange(settings.attack, 0.01, 2000) || !inRange(settings.release, 0.01, 9000)) {
+    throw new Error('Duck attack must be 0.01-2000 ms and release 0.01-9000 ms');
+  }
+  return settings;
+}
@@ -0,0 +1,261 @@
+import fs from "fs-extra";
+import path from "path";
+import { OVERLAY_POSITIONS, IMAGE_EXTENSIONS } from "./render.js";
+
+// Brand kits: a namespace's watermark, intro/outro bumpers, default text
+// style and lower-third templates, saved under a name. A render request that
+// says `brandKit: "acme"` is expanded before it's queued: the bumpers become
+// the first and last segments, the watermark a sticker over the whole video,
+// and every time in the request counts from the end of the intro.
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Elements a request can switch off with { name, watermark: false, ... }
+export const BRAND_ELEMENTS = ['watermark', 'intro', 'outro', 'textStyle'];
+
+const BUMPER_TYPES = ['video', 'image'];
+
+const WATERMARK_PROPERTIES = ['filename', 'position', 'x', 'y', 'width', 'height', 'scale', 'opacity', 'zIndex'];
+// Above the layers a request is likely to use
+const WATERMARK_DEFAULTS = { position: 'bottom-right', opacity: 0.8, zIndex: 1000 };
+
+// Text item options a lower-third template can set; text and timing come from the request
+const LOWER_THIRD_PROPERTIES = [
+  'style', 'fontSize', 'position', 'maxWidth', 'textAlign', 'lineSpacing',
+  'shadowColor', 'shadowOffset', 'opacity', 'duration', 'animation'
+];
+const LOWER_THIRD_DEFAULTS = { position: 'bottom-left', duration: 5 };
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const isFilename = (value) => typeof value === 'string' && value.length > 0;
+
+export const isValidKitName = (name) => typeof name === 'string' && NAME_PATTERN.test(name);
+
+// Validate a kit definition: { watermark, intro, outro, textStyle, lowerThirds }.
+// Item options are checked again when a request using the kit is rendered.
+// Returns an error message, or null if valid.
+export function validateBrandKit(definition, { hasStyle }) {
+  if (!isObject(definition)) {
+    return 'Brand kit must be an object';
+  }
+
+  const checks = {
+    watermark: (value) => {
+      if (!isObject(value) || !isFilename(value.filename)) return 'watermark needs a filename';
+      const unknown = Object.keys(value).find(key => !WATERMARK_PROPERTIES.includes(key));
+      if (unknown) return `Unknown watermark property: ${unknown}`;
+      if (value.position !== undefined && !OVERLAY_POSITIONS[value.position]) {
+        return `Invalid watermark position: ${value.position}`;
+      }
+      if (value.opacity !== undefined && !(typeof value.opacity === 'number' && value.opacity >= 0 && value.opacity <= 1)) {
+        return 'watermark opacity must be between 0 and 1';
+      }
+      return null;
+    },
+    intro: (value) => checkBumper(value, 'intro'),
+    outro: (value) => checkBumper(value, 'outro'),
+    textStyle: (value) => typeof value === 'string' && hasStyle(value) ? null : `Unknown text style: ${value}`,
+    lowerThirds: (value) => {
+      if (!isObject(value)) return 'lowerThirds must map template names to text options';
+      for (const [name, template] of Object.entries(value)) {
+        if (!NAME_PATTERN.test(name)) return `Invalid lower-third name: ${name}`;
+        if (!isObject(template)) return `Lower third ${name} must be an object`;
+        const unknown = Object.keys(template).find(key => !LOWER_THIRD_PROPERTIES.includes(key));
+        if (unknown) return `Unknown property for lower third ${name}: ${unknown}`;
+        if (template.style !== undefined && !hasStyle(template.style)) {
+          return `Unknown text style for lower third ${name}: ${template.style}`;
+        }
+        if (template.duration !== undefined && !(typeof template.duration === 'number' && template.duration > 0)) {
+          return `duration of lower third ${name} must be positive`;
+        }
+      }
+      return null;
+    }
+  };
+
+  for (const [field, value] of Object.entries(definition)) {
+    if (!checks[field]) {
+      return `Unknown brand kit property: ${field}`;
+    }
+    const error = checks[field](value);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Intro and outro are video or image timeline items; without a `type`, still
+// files are images
+const checkBumper = (value, label) => {
+  if (!isObject(value) || !isFilename(value.filename)) return `${label} needs a filename`;
+  if (value.type !== undefined && !BUMPER_TYPES.includes(value.type)) {
+    return `${label} type must be one of: ${BUMPER_TYPES.join(', ')}`;
+  }
+  return null;
+};
+
+// A bumper's item type: as given, or image for still files and video otherwise
+const bumperType = (bumper) => bumper.type ||
+  (IMAGE_EXTENSIONS.includes(path.extname(bumper.filename).toLowerCase()) ? 'image' : 'video');
+
+// A valid kit definition with the type of its intro and outro filled in, as it's saved
+export function resolveBrandKit(definition) {
+  const resolved = { ...definition };
+  for (const element of ['intro', 'outro']) {
+    if (resolved[element]) {
+      resolved[element] = { ...resolved[element], type: bumperType(resolved[element]) };
+    }
+  }
+  return resolved;
+}
+
+// Upload names a kit refers to
+export const brandKitFilenames = (kit) => ['watermark', 'intro', 'outro']
+  .filter(element => kit[element])
+  .map(element => kit[element].filename);
+
+// Resolve a request's `brandKit` (a kit name, or { name, watermark: false, ... })
+// into { name, use: { watermark, intro, outro, textStyle } }. Throws on invalid values.
+export function parseBrandKitReference(reference) {
+  const options = typeof reference === 'string' ? { name: reference } : reference;
+  if (!isObject(options) || !isValidKitName(options.name)) {
+    throw new Error('brandKit must be a kit name or an object with a "name"');
+  }
+  const use = {};
+  for (const element of BRAND_ELEMENTS) {
+    if (options[element] !== undefined && typeof options[element] !== 'boolean') {
+      throw new Error(`brandKit.${element} must be true or false`);
+    }
+    use[element] = options[element] !== false;
+  }
+  const unknown = Object.keys(options).find(key => key !== 'name' && !BRAND_ELEMENTS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown brandKit option: ${unknown}`);
+  }
+  return { name: options.name, use };
+}
+
+// The intro and outro segments a request gets from a kit: { intro, outro }, each an item or null
+export function brandBumpers(kit, use) {
+  const bumper = (element) => use[element] && kit[element]
+    ? { ...kit[element], type: bumperType(kit[element]) }
+    : null;
+  return { intro: bumper('intro'), outro: bumper('outro') };
+}
+
+// Expand a request that uses `kit` into a plain render request. `contentStart`
+// is where the request's own content begins – the intro's length on the
+// timeline – and every absolute time in the request is moved by it. Throws
+// on lower thirds the kit doesn't define.
+export function applyBrandKit(body, kit, { use, contentStart = 0 }) {
+  const { brandKit, ...request } = body;
+  const { intro, outro } = brandBumpers(kit, use);
+  const textStyle = use.textStyle ? kit.textStyle : undefined;
+  const shift = (time) => (time || 0) + contentStart;
+
+  const timeline = request.timeline.map((item) => {
+    if (item.type === 'lowerThird') {
+      const template = (kit.lowerThirds || {})[item.template];
+      if (!template) {
+        throw new Error(`Unknown lower third for brand kit ${kit.name}: ${item.template}`);
+      }
+      return {
+        ...LOWER_THIRD_DEFAULTS,
+        ...(textStyle ? { style: textStyle } : {}),
+        ...template,
+        type: 'text',
+        text: item.text,
+        startTime: shift(item.startTime),
+        ...(item.duration !== undefined ? { duration: item.duration } : {})
+      };
+    }
+    if (item.type === 'text' && !item.style && textStyle) {
+      return { ...item, style: textStyle, startTime: shift(item.startTime) };
+    }
+    if (['text', 'audio', 'overlay', 'sticker'].includes(item.type)) {
+      return { ...item, startTime: shift(item.startTime) };
+    }
+    return item;
+  });
+
+  if (intro) timeline.unshift(intro);
+  if (outro) timeline.push(outro);
+  // The watermark covers the bumpers too
+  if (use.watermark && kit.watermark) {
+    timeline.push({ ...WATERMARK_DEFAULTS, ...kit.watermark, type: 'sticker', startTime: 0 });
+  }
+
+  const expanded = { ...request, timeline };
+  if (isObject(request.subtitles) || typeof request.subtitles === 'string') {
+    const subtitles = typeof request.subtitles === 'string' ? { content: request.subtitles } : request.subtitles;
+    expanded.subtitles = {
+      ...subtitles,
+      ...(textStyle && !subtitles.style ? { style: textStyle } : {}),
+      ...(contentStart > 0 ? { offset: shift(subtitles.offset) } : {})
+    };
+  }
+  return expanded;
+}
+
+// Persistent brand kit store (JSON file written atomically). Kits are named
+// per API key namespace.
+export function createBrandKitStore({ storePath }) {
+  let kits = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      kits = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error('Failed to read brand kits, starting empty:', error);
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, kits, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  // Names can't contain ':', so this keys kits uniquely across namespaces
+  const keyFor = (owner, name) => `${owner || ''}:${name}`;
+
+  return {
+    list(owner = null) {
+      return Object.values(kits)
+        .filter(kit => (kit.owner || null) === owner)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    get(owner, name) {
+      return kits[keyFor(owner, name)] || null;
+    },
+
+    // Create or replace a kit. Queued jobs keep the kit they were expanded with.
+    save(owner, name, definition) {
+      const existing = kits[keyFor(owner, name)];
+      const now = Date.now();
+      const record = {
+        ...definition,
+        name,
+        owner: owner || null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+      kits[keyFor(owner, name)] = record;
+      persist();
+      return record;
+    },
+
+    remove(owner, name) {
+      delete kits[keyFor(owner, name)];
+      persist();
+    },
+
+    // Upload names the kits of a namespace refer to
+    referencedUploads(owner = null) {
+      const filenames = new Set();
+      for (const kit of this.list(owner)) {
+        brandKitFilenames(kit).forEach(filename => filenames.add(filename));
+      }
+      return filenames;
+    }
+  };
+}
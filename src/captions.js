@@ -0,0 +1,274 @@
+import path from 'path';
+import { resolveTextStyle } from './textStyles.js';
+import { loadFontMetrics } from './fontMetrics.js';
+
+export const CAPTION_FORMATS = ['srt', 'vtt', 'ass'];
+
+// ASS numpad alignment for each text position
+const ASS_ALIGNMENT = {
+  'bottom-left': 1,
+  'bottom-center': 2,
+  'bottom-right': 3,
+  'middle-left': 4,
+  'middle-center': 5,
+  'middle-right': 6,
+  'top-left': 7,
+  'top-center': 8,
+  'top-right': 9
+};
+
+// Margin from the frame edge, matching the 50px padding of TEXT_POSITIONS
+const ASS_MARGIN = 50;
+
+const NAMED_COLORS = {
+  white: 'FFFFFF',
+  black: '000000',
+  red: 'FF0000',
+  green: '008000',
+  lime: '00FF00',
+  blue: '0000FF',
+  yellow: 'FFFF00',
+  cyan: '00FFFF',
+  magenta: 'FF00FF',
+  orange: 'FFA500',
+  purple: '800080',
+  pink: 'FFC0CB',
+  gray: '808080',
+  grey: '808080'
+};
+
+// FFmpeg colour ("white", "black@0.5", "#FFAA00", "0xFFAA00") -> ASS "&HAABBGGRR"
+export function toAssColor(color = 'white') {
+  const [name, alphaPart] = String(color).split('@');
+  const lower = name.toLowerCase();
+  const hex = NAMED_COLORS[lower] || (lower.match(/^(?:#|0x)([0-9a-f]{6})$/) || [])[1] || 'FFFFFF';
+  const [r, g, b] = [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4, 6)];
+
+  // ASS alpha is inverted: 00 = opaque, FF = transparent
+  const opacity = alphaPart !== undefined ? Math.min(Math.max(Number(alphaPart) || 0, 0), 1) : 1;
+  const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+// Colour for an inline {\c} override, which takes "&HBBGGRR&" without alpha
+const toAssInlineColor = (color) => `&H${toAssColor(color).slice(4)}&`;
+
+// "00:01:02,500", "01:02.500" or "00:01:02.500" -> seconds
+export function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().replace(',', '.').split(':');
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// seconds -> "H:MM:SS.cc"
+const formatAssTime = (seconds) => {
+  const centiseconds = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(centiseconds / 360000);
+  const m = Math.floor((centiseconds % 360000) / 6000);
+  const s = Math.floor((centiseconds % 6000) / 100);
+  const cs = centiseconds % 100;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+// Convert cue text with SRT/WebVTT markup into ASS dialogue text
+const cueTextToAss = (text) => {
+  return text
+    // Braces would open ASS override blocks
+    .replace(/{/g, '(')
+    .replace(/}/g, ')')
+    .replace(/<(\/?)([biu])(?:\.[^>]*)?>/gi, (match, closing, tag) => `{\\${tag.toLowerCase()}${closing ? 0 : 1}}`)
+    .replace(/<font[^>]*color=["']?#?([0-9a-f]{6})["']?[^>]*>/gi, (match, hex) => `{\\c${toAssInlineColor(`#${hex}`)}}`)
+    .replace(/<\/font>/gi, '{\\c}')
+    // Anything else (voice spans, classes, inline timestamps) is dropped
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\r?\n/g, '\\N');
+};
+
+const detectFormat = (content) => {
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('WEBVTT')) return 'vtt';
+  if (trimmed.includes('[Script Info]')) return 'ass';
+  return 'srt';
+};
+
+// Parse SRT or WebVTT into [{ start, end, text }] – both are timing line + text blocks
+export function parseCues(content) {
+  // Requests often carry escaped newlines
+  const normalized = content.replace(/\\n/g, '\n').replace(/\r\n/g, '\n');
+  const cues = [];
+
+  for (const block of normalized.trim().split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE or REGION blocks
+
+    const [startPart, endPart] = lines[timingIndex].split('-->');
+    // WebVTT cue settings follow the end time
+    const start = parseTimestamp(startPart);
+    const end = parseTimestamp(endPart.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1).join('\n');
+
+    if (!text.trim() || !(end > start)) continue;
+    cues.push({ start, end, text });
+  }
+
+  return cues;
+}
+
+// Group word timings into caption lines, then emit one event per word with
+// that word highlighted – the TikTok-style "active word" look.
+const buildWordEvents = (words, { highlightColor, maxWordsPerLine, maxGap }) => {
+  const lines = [];
+  let current = [];
+  for (const word of words) {
+    const previous = current[current.length - 1];
+    if (current.length >= maxWordsPerLine || (previous && word.start - previous.end > maxGap)) {
+      lines.push(current);
+      current = [];
+    }
+    current.push(word);
+  }
+  if (current.length) lines.push(current);
+
+  const highlight = toAssInlineColor(highlightColor);
+  const events = [];
+  for (const line of lines) {
+    line.forEach((word, index) => {
+      const next = line[index + 1];
+      const text = line
+        .map((w, i) => {
+          const escaped = cueTextToAss(String(w.text));
+          return i === index ? `{\\c${highlight}}${escaped}{\\r}` : escaped;
+        })
+        .join(' ');
+      events.push({ start: word.start, end: next ? next.start : word.end, text });
+    });
+  }
+  return events;
+};
+
+const validateWords = (words) => {
+  if (!Array.isArray(words) || words.length === 0) {
+    throw new Error('Subtitle words must be a non-empty array');
+  }
+  for (const word of words) {
+    if (!word || typeof word.text !== 'string' || !(Number(word.end) > Number(word.start)) || Number(word.start) < 0) {
+      throw new Error('Each subtitle word needs text, start and an end after start');
+    }
+  }
+  return words
+    .map(word => ({ text: word.text, start: Number(word.start), end: Number(word.end) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Normalize the `subtitles` render option: a plain string (format detected)
+// or { content, format, style, position } / { words, style, position, highlightColor },
+// either with an `offset` in seconds that delays every cue.
+// `customStyles` are the user presets available besides the built-ins.
+export function normalizeSubtitles(subtitles, customStyles = {}) {
+  const options = typeof subtitles === 'string' ? { content: subtitles } : { ...subtitles };
+
+  if (options.words !== undefined) {
+    options.words = validateWords(options.words);
+  } else if (typeof options.content !== 'string' || !options.content.trim()) {
+    throw new Error("Subtitles need either 'content' or 'words'");
+  } else {
+    options.format = options.format ? String(options.format).toLowerCase() : detectFormat(options.content);
+    if (options.format === 'webvtt') options.format = 'vtt';
+    if (!CAPTION_FORMATS.includes(options.format)) {
+      throw new Error(`Invalid subtitle format: ${options.format}. Expected one of: ${CAPTION_FORMATS.join(', ')}`);
+    }
+  }
+
+  options.style = options.style || 'subtitle';
+  if (!resolveTextStyle(options.style, customStyles)) {
+    throw new Error(`Invalid text style: ${options.style}`);
+  }
+  options.position = options.position || 'bottom-center';
+  if (!ASS_ALIGNMENT[options.position]) {
+    throw new Error(`Invalid subtitle position: ${options.position}`);
+  }
+  if (options.offset !== undefined && !(typeof options.offset === 'number' && options.offset >= 0)) {
+    throw new Error('Subtitle offset must be 0 or more seconds');
+  }
+
+  return options;
+}
+
+// Build the ASS style line for a text style preset
+const buildAssStyle = (style, position) => {
+  const {
+    fontColor = 'white',
+    fontSize = 48,
+    borderColor = 'black',
+    borderWidth = 0,
+    boxColor,
+    boxBorderWidth = 0,
+    shadowColor,
+    shadowX = 0,
+    shadowY = 0,
+    fontFile
+  } = style;
+
+  // libass matches fonts by the names inside them, not the file name. Uploaded
+  // fonts are stored under the name they were given, so read their PostScript name.
+  const metrics = fontFile ? loadFontMetrics(fontFile) : null;
+  const fontName = fontFile
+    ? (metrics && (metrics.postScriptName || metrics.familyName)) || path.parse(fontFile).name
+    : 'Roboto-Regular';
+  // BorderStyle 3 draws an opaque box in the outline colour
+  const borderStyle = boxColor ? 3 : 1;
+  const outlineColor = boxColor ? toAssColor(boxColor) : toAssColor(borderColor);
+  const outline = boxColor ? boxBorderWidth : borderWidth;
+  // ASS shadows have a single offset, applied on both axes
+  const shadow = shadowColor ? Math.max(Math.abs(shadowX), Math.abs(shadowY)) : 0;
+
+  return [
+    'Default', fontName, fontSize,
+    toAssColor(fontColor), toAssColor(fontColor), outlineColor, toAssColor(shadowColor || 'black@0'),
+    0, 0, 0, 0, 100, 100, 0, 0,
+    borderStyle, outline, shadow,
+    ASS_ALIGNMENT[position], ASS_MARGIN, ASS_MARGIN, ASS_MARGIN, 1
+  ].join(',');
+};
+
+// Produce the ASS document the `ass` filter renders. ASS input is passed
+// through unchanged so its own styles win; SRT, WebVTT and word timings are
+// converted using the mapped text style preset.
+export function buildAssDocument(subtitles, { width, height, styles = {} }) {
+  const options = normalizeSubtitles(subtitles, styles);
+  if (options.format === 'ass') {
+    return options.content.replace(/\\n/g, '\n');
+  }
+
+  const events = options.words
+    ? buildWordEvents(options.words, {
+      highlightColor: options.highlightColor || 'yellow',
+      maxWordsPerLine: Math.max(1, parseInt(options.maxWordsPerLine, 10) || 4),
+      maxGap: 1
+    })
+    : parseCues(options.content).map(cue => ({ ...cue, text: cueTextToAss(cue.text) }));
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${buildAssStyle(resolveTextStyle(options.style, styles), options.position)}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events.map(event =>
+      `Dialogue: 0,${formatAssTime(event.start)},${formatAssTime(event.end)},Default,,0,0,0,,${event.text}`
+    ),
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,166 @@
+import fs from 'fs';
+
+// Minimal TrueType/OpenType reader: just enough of the `head`, `hhea`, `hmtx`
+// and `cmap` tables to know which characters a font covers and how wide they
+// are, plus the `name` table entries libass matches fonts by.
+
+const cache = new Map();
+
+const readTables = (buffer) => {
+  const tables = {};
+  const numTables = buffer.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    tables[buffer.toString('latin1', record, record + 4)] = buffer.readUInt32BE(record + 8);
+  }
+  return tables;
+};
+
+// Character -> glyph lookup from cmap subtable format 4 (BMP) or 12 (full Unicode)
+const readCmap = (buffer, cmapOffset) => {
+  const numSubtables = buffer.readUInt16BE(cmapOffset + 2);
+  const subtables = [];
+  for (let i = 0; i < numSubtables; i++) {
+    const record = cmapOffset + 4 + i * 8;
+    const offset = cmapOffset + buffer.readUInt32BE(record + 4);
+    subtables.push({
+      platformId: buffer.readUInt16BE(record),
+      encodingId: buffer.readUInt16BE(record + 2),
+      format: buffer.readUInt16BE(offset),
+      offset
+    });
+  }
+
+  const full = subtables.find(table => table.format === 12 && (table.platformId === 3 || table.platformId === 0));
+  if (full) {
+    const groupCount = buffer.readUInt32BE(full.offset + 12);
+    const groups = [];
+    for (let i = 0; i < groupCount; i++) {
+      const group = full.offset + 16 + i * 12;
+      groups.push([buffer.readUInt32BE(group), buffer.readUInt32BE(group + 4), buffer.readUInt32BE(group + 8)]);
+    }
+    return (codePoint) => {
+      const group = groups.find(([start, end]) => codePoint >= start && codePoint <= end);
+      return group ? group[2] + codePoint - group[0] : 0;
+    };
+  }
+
+  const bmp = subtables.find(table => table.format === 4 && (table.platformId === 3 || table.platformId === 0));
+  if (bmp) {
+    const segCount = buffer.readUInt16BE(bmp.offset + 6) / 2;
+    const endCodes = bmp.offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+    return (codePoint) => {
+      if (codePoint > 0xffff) return 0;
+      for (let i = 0; i < segCount; i++) {
+        if (codePoint > buffer.readUInt16BE(endCodes + i * 2)) continue;
+        const start = buffer.readUInt16BE(startCodes + i * 2);
+        if (codePoint < start) return 0;
+        const delta = buffer.readInt16BE(idDeltas + i * 2);
+        const rangeOffset = buffer.readUInt16BE(idRangeOffsets + i * 2);
+        if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+        const glyph = buffer.readUInt16BE(idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+        return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+      }
+      return 0;
+    };
+  }
+
+  return () => 0;
+};
+
+// Name table IDs
+const FAMILY_NAME = 1;
+const POSTSCRIPT_NAME = 6;
+
+// Strings of the `name` table by name ID, preferring Windows (UTF-16BE,
+// US English first) records over Macintosh Roman ones
+const readNames = (buffer, nameOffset) => {
+  const count = buffer.readUInt16BE(nameOffset + 2);
+  const storage = nameOffset + buffer.readUInt16BE(nameOffset + 4);
+  const names = {};
+  const ranks = {};
+  for (let i = 0; i < count; i++) {
+    const record = nameOffset + 6 + i * 12;
+    const platformId = buffer.readUInt16BE(record);
+    const languageId = buffer.readUInt16BE(record + 4);
+    const nameId = buffer.readUInt16BE(record + 6);
+    const start = storage + buffer.readUInt16BE(record + 10);
+    const bytes = buffer.subarray(start, start + buffer.readUInt16BE(record + 8));
+
+    let rank;
+    let value;
+    if (platformId === 3) {
+      rank = languageId === 0x409 ? 3 : 2;
+      value = bytes.length % 2 === 0 ? Buffer.from(bytes).swap16().toString('utf16le') : null;
+    } else if (platformId === 1) {
+      rank = 1;
+      value = bytes.toString('latin1');
+    }
+    if (value && rank > (ranks[nameId] || 0)) {
+      ranks[nameId] = rank;
+      names[nameId] = value;
+    }
+  }
+  return names;
+};
+
+// Metrics for a font file, or null if it can't be read. Results are cached per file.
+export function loadFontMetrics(fontFile) {
+  let key;
+  try {
+    key = `${fontFile}:${fs.statSync(fontFile).mtimeMs}`;
+  } catch (error) {
+    return null;
+  }
+  if (cache.has(key)) return cache.get(key);
+
+  let metrics = null;
+  try {
+    const buffer = fs.readFileSync(fontFile);
+    const tables = readTables(buffer);
+    if (tables.head && tables.hhea && tables.hmtx && tables.cmap) {
+      const unitsPerEm = buffer.readUInt16BE(tables.head + 18);
+      const numberOfHMetrics = buffer.readUInt16BE(tables.hhea + 34);
+      const glyphFor = readCmap(buffer, tables.cmap);
+      const glyphs = new Map();
+      const glyphId = (codePoint) => {
+        if (!glyphs.has(codePoint)) glyphs.set(codePoint, glyphFor(codePoint));
+        return glyphs.get(codePoint);
+      };
+
+      const names = tables.name ? readNames(buffer, tables.name) : {};
+
+      metrics = {
+        familyName: names[FAMILY_NAME] || null,
+        postScriptName: names[POSTSCRIPT_NAME] || null,
+        unitsPerEm,
+        ascender: buffer.readInt16BE(tables.hhea + 4),
+        descender: buffer.readInt16BE(tables.hhea + 6),
+        lineGap: buffer.readInt16BE(tables.hhea + 8),
+        hasGlyph: (codePoint) => glyphId(codePoint) !== 0,
+        // Advance width in font units; glyphs past numberOfHMetrics share the last advance
+        advance: (codePoint) => {
+          const glyph = Math.min(glyphId(codePoint), numberOfHMetrics - 1);
+          return buffer.readUInt16BE(tables.hmtx + glyph * 4);
+        }
+      };
+    }
+  } catch (error) {
+    metrics = null;
+  }
+
+  cache.set(key, metrics);
+  return metrics;
+}
+
+// Width of `text` in pixels at `fontSize`
+export function measureText(metrics, text, fontSize) {
+  let units = 0;
+  for (const character of text) {
+    units += metrics.advance(character.codePointAt(0));
+  }
+  return (units * fontSize) / metrics.unitsPerEm;
+}
@@ -2,10 +2,36 @@
 import express from "express";
 import multer from "multer";
 import path from "path";
+import os from "os";
 import { fileURLToPath } from "url";
-import { v4 as uuidv4 } from "uuid";
 import fs from "fs-extra";
-import renderJob from "./render.js";
+import { v4 as uuidv4 } from "uuid";
+import renderJob, { parseTransition, probeSticker } from "./render.js";
+import { createJobQueue, jobDuration, JOB_STATUSES } from "./jobQueue.js";
+import { createWebhookDispatcher, describeWebhook, validateWebhook } from "./webhooks.js";
+import { resolveOutputSettings } from "./outputProfiles.js";
+import { normalizeSubtitles } from "./captions.js";
+import { normalizeTextAnimation } from "./textAnimations.js";
+import { resolveLoudness, resolveDuckOptions } from "./audioOptions.js";
+import { checkVideoOptions, resolveVideoTiming } from "./segmentTiming.js";
+import { checkSegmentFilters, lutFilenames } from "./segmentFilters.js";
+import { normalizeMotion } from "./motion.js";
+import { checkStickerOptions, isSequencePattern, sequenceFrames } from "./stickers.js";
+import { buildRenderSchema } from "./renderSchema.js";
+import { validateRenderRequest } from "./validate.js";
+import { createMediaLibrary } from "./mediaLibrary.js";
+import { createStyleLibrary } from "./styleLibrary.js";
+import { FONT_DIR } from "./textStyles.js";
+import { createTemplateStore, applyTemplate, parseCsv } from "./templates.js";
+import { createBrandKitStore, validateBrandKit, resolveBrandKit, isValidKitName, parseBrandKitReference, brandBumpers, applyBrandKit, brandKitFilenames } from "./brandKits.js";
+import { writeZip } from "./zip.js";
+import { createProjectStore } from "./projects.js";
+import { createKeyStore, validateKeyOptions, hasScope } from "./apiKeys.js";
+import { createLocalStorage, createS3Storage, isValidName, normalizeKey } from "./storage.js";
+import { createUploadSessionStore, describeSession } from "./uploadSessions.js";
+import { createImportQueue, describeImport, validateImportUrl } from "./mediaImport.js";
+import { createAccessLog, createRetentionSweeper, parseDuration, parseSize } from "./retention.js";
+import crypto from "crypto";
 import { spawnSync } from "child_process";
 import ffmpegStatic from "ffmpeg-static";
 import { spawn } from "child_process";
@@ -15,15 +41,79 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1);
+// What to do with jobs that were processing when the server stopped: "requeue" or "fail"
+const JOB_RECOVERY = process.env.JOB_RECOVERY === "fail" ? "fail" : "requeue";
+// Finished, failed and cancelled jobs kept in the journal
+const JOB_HISTORY_LIMIT = Math.max(1, parseInt(process.env.JOB_HISTORY_LIMIT, 10) || 1000);
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5);
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 2000; // ms, doubled after each attempt
+const MAX_BATCH_ROWS = Math.max(1, parseInt(process.env.MAX_BATCH_ROWS, 10) || 500);
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+// Where uploads and outputs are kept: "local" (default) or "s3"
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND === "s3" ? "s3" : "local";
+// Default and maximum lifetime of signed download URLs, in seconds
+const SIGNED_URL_TTL = Math.max(1, parseInt(process.env.SIGNED_URL_TTL, 10) || 3600);
+const SIGNED_URL_MAX_TTL = 7 * 24 * 3600;
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024 * 10; // 10GB per file, however it arrives
+// Seconds a resumable upload may sit idle before it is discarded
+const UPLOAD_SESSION_TTL = Math.max(60, parseInt(process.env.UPLOAD_SESSION_TTL, 10) || 24 * 3600);
+// URL imports refuse loopback and private network addresses unless this is set
+const IMPORT_ALLOW_PRIVATE_HOSTS = process.env.IMPORT_ALLOW_PRIVATE_HOSTS === "true";
+
+// Retention: how long outputs and unused uploads are kept, and a cap on the
+// total size of both. Unset means keep forever / no cap. Local copies of S3
+// objects are dropped after a day without use by default.
+let RETENTION;
+try {
+  RETENTION = {
+    outputTtl: parseDuration(process.env.OUTPUT_TTL),
+    uploadTtl: parseDuration(process.env.UPLOAD_TTL),
+    maxBytes: parseSize(process.env.STORAGE_MAX_BYTES),
+    cacheTtl: parseDuration(process.env.S3_CACHE_TTL) || 86400,
+    cacheMaxBytes: parseSize(process.env.S3_CACHE_MAX_BYTES),
+    sweepInterval: parseDuration(process.env.RETENTION_SWEEP_INTERVAL) || 600
+  };
+} catch (error) {
+  console.error(`Invalid retention settings: ${error.message}`);
+  process.exit(1);
+}
 
 // Middlewares
 app.use(express.json());
 
 // Ensure working directories exist
-const uploadDir = path.join(__dirname, "../uploads");
-const outputDir = path.join(__dirname, "../outputs");
-fs.ensureDirSync(uploadDir);
-fs.ensureDirSync(outputDir);
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "../data");
+const uploadTmpDir = path.join(os.tmpdir(), "ffmux-uploads");
+fs.ensureDirSync(dataDir);
+fs.ensureDirSync(uploadTmpDir);
+
+// HMAC secret for local signed URLs; generated once and kept in the data directory
+const signingSecretPath = path.join(dataDir, "signing-secret");
+if (!process.env.STORAGE_SIGNING_SECRET && !fs.existsSync(signingSecretPath)) {
+  fs.writeFileSync(signingSecretPath, crypto.randomBytes(32).toString("hex"), { mode: 0o600 });
+}
+
+if (STORAGE_BACKEND === "s3" && !process.env.S3_BUCKET) {
+  console.error("STORAGE_BACKEND=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  process.exit(1);
+}
+
+// File storage for uploads (`uploads/...` keys) and outputs (`outputs/...` keys)
+const storage = STORAGE_BACKEND === "s3"
+  ? createS3Storage({
+    endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || "us-east-1",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+    cacheDir: path.join(dataDir, "storage-cache")
+  })
+  : createLocalStorage({
+    root: path.join(__dirname, ".."),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || fs.readFileSync(signingSecretPath, "utf8")
+  });
 
 // Check FFmpeg availability
 const ffprobe = spawnSync("ffmpeg", ["-version"], { stdio: "ignore" });
@@ -47,84 +137,419 @@ fontDownload.on("close", (code) => {
   }
 });
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: uploadDir,
-  filename: (req, file, cb) => {
-    const originalName = path.parse(file.originalname);
-    let fileName = originalName.name;
-    let extension = originalName.ext.toLowerCase();
-    let counter = 1;
-    
-    // Check if file exists and generate new name if it does
-    while (fs.existsSync(path.join(uploadDir, fileName + extension))) {
-      fileName = `${originalName.name}_${counter}`;
-      counter++;
-    }
-    
-    cb(null, fileName + extension);
+// Uploads land in a temporary directory and are moved into storage once named
+const upload = multer({ 
+  dest: uploadTmpDir,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES
   }
 });
 
-const upload = multer({ 
-  storage,
+// Font uploads are checked before they're moved into the font directory
+const fontUpload = multer({
+  dest: os.tmpdir(),
   limits: {
-    fileSize: 1024 * 1024 * 1024 * 10 // 10GB limit
+    fileSize: 1024 * 1024 * 50 // 50MB limit
+  }
+});
+
+// Each API key works in its own namespace: storage keys under uploads/<keyId>
+// and outputs/<keyId>, and its own metadata cache. With auth disabled
+// everything lives directly under uploads/ and outputs/, as before keys existed.
+const spaces = new Map();
+const spaceFor = (owner) => {
+  const id = owner || null;
+  if (!spaces.has(id)) {
+    const space = {
+      owner: id,
+      uploads: id ? `uploads/${id}` : "uploads",
+      outputs: id ? `outputs/${id}` : "outputs"
+    };
+    fs.ensureDirSync(path.join(dataDir, "media"));
+    // Cached ffprobe metadata and previews for uploads
+    space.media = createMediaLibrary({
+      storage,
+      prefix: space.uploads,
+      storePath: id ? path.join(dataDir, "media", `${id}.json`) : path.join(dataDir, "media.json"),
+      previewDir: id ? path.join(dataDir, "previews", id) : path.join(dataDir, "previews")
+    });
+    spaces.set(id, space);
+  }
+  return spaces.get(id);
+};
+
+// True when a job, template or project belongs to the request's namespace
+const ownedBy = (record, space) => (record.owner || null) === space.owner;
+
+// A job's fileMap maps upload names to storage keys. Jobs queued before the
+// storage layer hold absolute paths, which are used as they are.
+const isLegacyPath = (value) => path.isAbsolute(value);
+
+// Local paths of a job's inputs for FFmpeg
+const resolveInputs = async (fileMap) => Object.fromEntries(await Promise.all(
+  Object.entries(fileMap).map(async ([filename, key]) => [filename, isLegacyPath(key) ? key : await storage.fetch(key)])
+));
+
+// Storage key of a job's output
+const outputKeyFor = (job) => `${spaceFor(job.owner).outputs}/${path.basename(job.outputPath)}`;
+
+// Last use of every stored file, for retention
+const accessLog = createAccessLog({ storePath: path.join(dataDir, "file-access.json") });
+
+// Free upload name for `originalName`: the name itself, or with _1, _2, ...
+// added before the (lowercased) extension while that is taken. Every way a
+// file can arrive – form upload, resumable upload, URL import – uses this.
+const availableUploadName = async (space, originalName) => {
+  const parsed = path.parse(isValidName(originalName) ? originalName : "upload");
+  const ext = parsed.ext.toLowerCase();
+  let filename = `${parsed.name}${ext}`;
+  for (let counter = 1; await storage.exists(`${space.uploads}/${filename}`); counter++) {
+    filename = `${parsed.name}_${counter}${ext}`;
+  }
+  return filename;
+};
+
+// Move a received file into a namespace's uploads and probe it once, so
+// listings and renders can use the cached metadata. Resolves with the metadata.
+const storeUpload = async (space, filePath, filename) => {
+  await storage.put(`${space.uploads}/${filename}`, filePath);
+  space.media.remove(filename);
+  return space.media.getMetadata(filename);
+};
+
+// Store a received file under a free name derived from `originalName`.
+// Picking the name and storing the file run one at a time per namespace, so
+// files arriving together can't take the same name. Resolves with
+// { filename, metadata }.
+const uploadQueues = new Map();
+const storeNewUpload = async (space, filePath, originalName) => {
+  const previous = uploadQueues.get(space.owner) || Promise.resolve();
+  const stored = previous.then(async () => {
+    const filename = await availableUploadName(space, originalName);
+    await storage.put(`${space.uploads}/${filename}`, filePath);
+    return filename;
+  });
+  uploadQueues.set(space.owner, stored.catch(() => {}));
+  const filename = await stored;
+  space.media.remove(filename);
+  return { filename, metadata: await space.media.getMetadata(filename) };
+};
+
+// Persistent job queue – jobs are journaled to disk and picked up by a fixed number of workers.
+// Outputs are rendered to a local staging directory and moved into storage when done.
+const jobs = createJobQueue({
+  storePath: path.join(dataDir, "jobs.json"),
+  concurrency: MAX_CONCURRENT_JOBS,
+  recovery: JOB_RECOVERY,
+  historyLimit: JOB_HISTORY_LIMIT,
+  inputsExist: async (job) => {
+    const found = await Promise.all(Object.values(job.fileMap || {}).map(key =>
+      isLegacyPath(key) ? fs.pathExists(key) : storage.exists(key)
+    ));
+    return found.every(Boolean);
+  },
+  runner: async (job) => {
+    const space = spaceFor(job.owner);
+    Object.values(job.fileMap).forEach(key => accessLog.touch(key));
+    const render = await renderJob({
+      instructions: job.instructions,
+      fileMap: await resolveInputs(job.fileMap),
+      outputDir: storage.stagingDir(space.outputs)
+    });
+    const outputKey = `${space.outputs}/${path.basename(render.outputPath)}`;
+    return {
+      ...render,
+      promise: render.promise.then(async (outputPath) => {
+        // The queue drops the staged output of a job cancelled too late to kill
+        if (job.status === "cancelled") return outputPath;
+        await storage.put(outputKey, outputPath);
+        return outputPath;
+      })
+    };
+  }
+});
+
+// API keys and their daily render time
+const keys = createKeyStore({ storePath: path.join(dataDir, "keys.json") });
+jobs.on("end", (job) => {
+  if (job.owner && job.startedAt) {
+    keys.addRenderTime(job.owner, (job.finishedAt || Date.now()) - job.startedAt);
+  }
+});
+
+// Resumable uploads; their partial files stay on local disk whatever the storage backend
+const sessions = createUploadSessionStore({
+  storePath: path.join(dataDir, "upload-sessions.json"),
+  chunkDir: path.join(dataDir, "upload-sessions"),
+  ttl: UPLOAD_SESSION_TTL * 1000
+});
+setInterval(() => sessions.purgeExpired(), 60 * 60 * 1000).unref();
+
+// Background imports from URLs, stored under the name the response or URL suggests
+const imports = createImportQueue({
+  storePath: path.join(dataDir, "imports.json"),
+  downloadDir: path.join(dataDir, "imports"),
+  allowPrivateHosts: IMPORT_ALLOW_PRIVATE_HOSTS,
+  store: async (record, filePath) => {
+    const { filename } = await storeNewUpload(spaceFor(record.owner), filePath, record.requestedName || record.suggestedName || "import");
+    return filename;
+  }
+});
+
+// Scope a request needs: admin for key management and writes to the shared
+// fonts/styles, render for queueing or cancelling jobs, read for lookups
+const requiredScope = (req) => {
+  if (req.path.startsWith("/admin/")) return "admin";
+  if (/^\/(fonts|styles)(\/|$)/.test(req.path) && req.method !== "GET") return "admin";
+  if (req.method === "POST" && /^\/(render|templates\/[^/]+\/render|projects\/[^/]+\/render)$/.test(req.path)) return "render";
+  if (req.method === "DELETE" && req.path.startsWith("/jobs/")) return "render";
+  if (req.method === "GET" || req.method === "HEAD" || req.path === "/render/validate") return "read";
+  return "write";
+};
+
+// Authenticate every request by `Authorization: Bearer <key>` or `X-API-Key`.
+// GET requests may pass `?apiKey=` instead, for clients like EventSource that
+// can't set headers. Signed /files/ URLs carry their own signature instead.
+app.use((req, res, next) => {
+  if (req.method === "GET" && req.path.startsWith("/files/")) {
+    return next();
+  }
+  if (AUTH_DISABLED) {
+    req.space = spaceFor(null);
+    return next();
+  }
+
+  const header = req.get("authorization");
+  const presented = header && /^Bearer /i.test(header)
+    ? header.slice(7).trim()
+    : req.get("x-api-key") || (req.method === "GET" ? req.query.apiKey : undefined);
+  if (!presented) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "API key required" });
+  }
+  const key = keys.authenticate(presented);
+  if (!key) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "Invalid or revoked API key" });
+  }
+
+  const scope = requiredScope(req);
+  if (!hasScope(key, scope)) {
+    return res.status(403).json({ error: `This API key lacks the '${scope}' scope` });
   }
+
+  req.apiKey = key;
+  req.space = spaceFor(key.id);
+  next();
 });
 
-// Track active jobs
-const jobs = new Map();
-let isProcessing = false;
+// Total size of a namespace's uploads and outputs. Resumable uploads in
+// progress count with their full declared size.
+const storageUsed = async (space) => {
+  const files = [...await storage.list(space.uploads), ...await storage.list(space.outputs)];
+  return files.reduce((total, file) => total + file.size, 0) +
+    sessions.list(space.owner).reduce((total, session) => total + session.size, 0);
+};
+
+// Bytes a request's key may still store; Infinity without a storage limit
+const storageRoom = async (req) => {
+  const limit = req.apiKey && req.apiKey.limits.storageBytes;
+  if (limit === null || limit === undefined) return Infinity;
+  return Math.max(0, limit - await storageUsed(req.space));
+};
 
-// Helper function to get file stats
-const getFileStats = (dir, filename) => {
-  const filePath = path.join(dir, filename);
-  const stats = fs.statSync(filePath);
+// Current usage of a namespace against its key's limits
+const usageFor = async (req) => {
+  const activeJobs = jobs.activeJobs().filter(job => ownedBy(job, req.space)).length;
   return {
-    filename,
-    size: stats.size,
-    created: stats.birthtime,
-    modified: stats.mtime,
-    extension: path.extname(filename).toLowerCase(),
-    path: filePath
+    activeJobs,
+    renderMinutesToday: req.apiKey ? Math.round(keys.renderMinutesToday(req.apiKey.id) * 100) / 100 : null,
+    storageBytes: await storageUsed(req.space)
   };
 };
 
+// Seconds until the daily render quota resets at UTC midnight
+const secondsUntilReset = () => {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+};
+
+// Check the key's quotas before queueing `count` jobs. Sends 429 and returns
+// false when a limit is reached.
+const checkRenderQuota = async (req, res, count = 1) => {
+  if (!req.apiKey) return true;
+  const { maxConcurrentJobs, renderMinutesPerDay, storageBytes } = req.apiKey.limits;
+  const usage = await usageFor(req);
+
+  if (maxConcurrentJobs !== null && usage.activeJobs + count > maxConcurrentJobs) {
+    res.status(429).json({
+      error: `Concurrent job limit reached (${maxConcurrentJobs} queued or processing)`,
+      limit: "maxConcurrentJobs",
+      usage: usage.activeJobs
+    });
+    return false;
+  }
+  if (renderMinutesPerDay !== null && keys.renderMinutesToday(req.apiKey.id) >= renderMinutesPerDay) {
+    res.set("Retry-After", String(secondsUntilReset()));
+    res.status(429).json({
+      error: `Daily render limit reached (${renderMinutesPerDay} minutes)`,
+      limit: "renderMinutesPerDay",
+      usage: usage.renderMinutesToday
+    });
+    return false;
+  }
+  if (storageBytes !== null && usage.storageBytes >= storageBytes) {
+    res.status(429).json({
+      error: "Storage limit reached – delete uploads or outputs first",
+      limit: "storageBytes",
+      usage: usage.storageBytes
+    });
+    return false;
+  }
+  return true;
+};
+
+// Reject uploads that would exceed the key's storage limit. The multipart
+// body is slightly larger than the file, so this errs on the safe side.
+const checkStorageQuota = async (req, res, next) => {
+  const limit = req.apiKey && req.apiKey.limits.storageBytes;
+  if (limit === null || limit === undefined) return next();
+  try {
+    const used = await storageUsed(req.space);
+    const incoming = parseInt(req.get("content-length"), 10) || 0;
+    if (used + incoming > limit) {
+      return res.status(429).json({
+        error: "Upload would exceed the storage limit",
+        limit: "storageBytes",
+        usage: used
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Storage quota error:", error);
+    res.status(500).json({ error: "Failed to check storage quota" });
+  }
+};
+
+// Uploaded fonts and user-defined text style presets
+const styles = createStyleLibrary({
+  fontDir: FONT_DIR,
+  storePath: path.join(dataDir, "styles.json")
+});
+
+// Saved render templates with {{placeholders}}
+const templates = createTemplateStore({
+  storePath: path.join(dataDir, "templates.json")
+});
+
+// Brand kits: watermark, bumpers, default text style and lower thirds per namespace
+const brandKits = createBrandKitStore({
+  storePath: path.join(dataDir, "brandKits.json")
+});
+
+// Saved projects with version history. Finished renders record their output
+// file against the project version they came from.
+const projects = createProjectStore({
+  storePath: path.join(dataDir, "projects.json")
+});
+jobs.on("end", (job) => {
+  if (job.projectId && job.status === "finished" && job.outputPath) {
+    projects.recordOutput(job.projectId, job.projectVersion, job.id, path.basename(job.outputPath));
+  }
+});
+
+// Notify webhooks when jobs finish, fail or are cancelled
+const webhooks = createWebhookDispatcher(jobs, {
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelay: WEBHOOK_RETRY_DELAY
+});
+
+// Listing entry for a stored file. Storage backends only track the last
+// modification, so `created` is the time the current version was stored.
+const describeFile = (file) => ({
+  filename: file.name,
+  size: file.size,
+  created: file.modified,
+  modified: file.modified,
+  extension: path.extname(file.name).toLowerCase()
+});
+
+// Stored files under `prefix` matching the ?search= and ?extension= filters
+const listStoredFiles = async (prefix, { search, extension }) => {
+  let files = await storage.list(prefix);
+
+  // Filter by search term
+  if (search) {
+    const searchLower = search.toLowerCase();
+    files = files.filter(file => file.name.toLowerCase().includes(searchLower));
+  }
+
+  // Filter by extension
+  if (extension) {
+    const extLower = extension.toLowerCase().startsWith('.') ?
+      extension.toLowerCase() :
+      '.' + extension.toLowerCase();
+    files = files.filter(file => path.extname(file.name).toLowerCase() === extLower);
+  }
+
+  // Sort by newest first
+  return files.sort((a, b) => b.modified - a.modified);
+};
+
+// Resolve the :filename param of an uploads route, or send 404
+const findUpload = async (req, res) => {
+  const { filename } = req.params;
+  if (!isValidName(filename) || !(await storage.exists(`${req.space.uploads}/${filename}`))) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  return filename;
+};
+
+// Base URL for links back to this server, e.g. local signed URLs
+const publicBaseUrl = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+
+// Send a stored file as a download: streamed from disk for local storage,
+// redirected to a short-lived signed URL otherwise
+const sendStoredFile = async (req, res, key, filename) => {
+  accessLog.touch(key);
+  if (storage.type === "local") {
+    return res.download(storage.localPath(key), filename);
+  }
+  res.redirect(await storage.signedUrl(key, { expiresIn: 300, filename, baseUrl: publicBaseUrl(req) }));
+};
+
+// Queued or processing job that needs a stored file – as an input, or as the
+// output it is rendering – or null when the file may be removed. Jobs queued
+// before the storage layer reference local paths instead of keys.
+const jobUsingFile = (key) => {
+  const legacyPath = storage.type === 'local' ? storage.localPath(key) : null;
+  return jobs.activeJobs().find(job =>
+    Object.values(job.fileMap || {}).some(input => input === key || input === legacyPath) ||
+    (job.status === 'processing' && job.outputPath && outputKeyFor(job) === key)
+  ) || null;
+};
+
+// Clamp an integer query parameter
+const intQuery = (value, fallback, min, max) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+};
+
 // List files in uploads directory
-app.get('/uploads', (req, res) => {
+app.get('/uploads', async (req, res) => {
   try {
-    const { search, extension } = req.query;
-    const files = fs.readdirSync(uploadDir);
-    
-    let filteredFiles = files;
-    
-    // Filter by search term
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredFiles = filteredFiles.filter(file => 
-        file.toLowerCase().includes(searchLower)
-      );
+    const files = await listStoredFiles(req.space.uploads, req.query);
+
+    // Add media metadata for each file (probed once, then cached)
+    const filesWithStats = [];
+    for (const file of files) {
+      filesWithStats.push({
+        ...describeFile(file),
+        metadata: await req.space.media.getMetadata(file.name)
+      });
     }
-    
-    // Filter by extension
-    if (extension) {
-      const extLower = extension.toLowerCase().startsWith('.') ? 
-        extension.toLowerCase() : 
-        '.' + extension.toLowerCase();
-      filteredFiles = filteredFiles.filter(file => 
-        path.extname(file).toLowerCase() === extLower
-      );
-    }
-
-    // Get detailed stats for each file
-    const filesWithStats = filteredFiles.map(filename => 
-      getFileStats(uploadDir, filename)
-    );
-    
-    // Sort by newest first
-    filesWithStats.sort((a, b) => b.created - a.created);
-    
+
     res.json({
       total: filesWithStats.length,
       files: filesWithStats
@@ -136,39 +561,15 @@ app.get('/uploads', (req, res) => {
 });
 
 // List files in outputs directory
-app.get('/outputs', (req, res) => {
+app.get('/outputs', async (req, res) => {
   try {
-    const { search, extension } = req.query;
-    const files = fs.readdirSync(outputDir);
-    
-    let filteredFiles = files;
-    
-    // Filter by search term
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredFiles = filteredFiles.filter(file => 
-        file.toLowerCase().includes(searchLower)
-      );
-    }
-    
-    // Filter by extension
-    if (extension) {
-      const extLower = extension.toLowerCase().startsWith('.') ? 
-        extension.toLowerCase() : 
-        '.' + extension.toLowerCase();
-      filteredFiles = filteredFiles.filter(file => 
-        path.extname(file).toLowerCase() === extLower
-      );
-    }
-    
-    // Get detailed stats for each file
-    const filesWithStats = filteredFiles.map(filename => 
-      getFileStats(outputDir, filename)
-    );
-    
-    // Sort by newest first
-    filesWithStats.sort((a, b) => b.created - a.created);
-    
+    const files = await listStoredFiles(req.space.outputs, req.query);
+
+    const filesWithStats = files.map(file => ({
+      ...describeFile(file),
+      project: projects.findOutput(file.name, req.space.owner)
+    }));
+
     res.json({
       total: filesWithStats.length,
       files: filesWithStats
@@ -180,35 +581,36 @@ app.get('/outputs', (req, res) => {
 });
 
 // Delete file from uploads
-app.delete('/uploads', (req, res) => {
+app.delete('/uploads', async (req, res) => {
   try {
     const { filename } = req.body;
     
     if (!filename) {
       return res.status(400).json({ error: 'Filename is required in request body' });
     }
+    if (!isValidName(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
     
-    const filePath = path.join('./uploads/', filename);
+    const key = `${req.space.uploads}/${filename}`;
     
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!(await storage.exists(key))) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    // Check if file is being used in an active job
-    for (const [jobId, job] of jobs.entries()) {
-      if (job.status === 'processing') {
-        const fileInUse = Object.values(job.fileMap).some(path => path === filePath);
-        if (fileInUse) {
-          return res.status(409).json({ 
-            error: 'File is currently being used in job ' + jobId 
-          });
-        }
-      }
+    // Check if file is being used in a queued or processing job
+    const job = jobUsingFile(key);
+    if (job) {
+      return res.status(409).json({ 
+        error: 'File is currently being used in job ' + job.id 
+      });
     }
     
-    // Delete the file
-    fs.unlinkSync(filePath);
+    // Delete the file and its cached metadata/previews
+    await storage.remove(key);
+    req.space.media.remove(filename);
+    accessLog.forget(key);
     res.json({ 
       message: 'File deleted successfully',
       filename: filename
@@ -220,32 +622,34 @@ app.delete('/uploads', (req, res) => {
 });
 
 // Delete file from outputs
-app.delete('/outputs', (req, res) => {
+app.delete('/outputs', async (req, res) => {
   try {
     const { filename } = req.body;
     
     if (!filename) {
       return res.status(400).json({ error: 'Filename is required in request body' });
     }
+    if (!isValidName(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
     
-    const filePath = path.join('./outputs/', filename);
+    const key = `${req.space.outputs}/${filename}`;
     
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!(await storage.exists(key))) {
       return res.status(404).json({ error: 'File not found' });
     }
     
     // Check if file is being used in an active job
-    for (const job of jobs.values()) {
-      if (job.status === 'processing' && job.outputPath === filePath) {
-        return res.status(409).json({ 
-          error: 'File is currently being generated' 
-        });
-      }
+    if (jobUsingFile(key)) {
+      return res.status(409).json({ 
+        error: 'File is currently being generated' 
+      });
     }
     
     // Delete the file
-    fs.unlinkSync(filePath);
+    await storage.remove(key);
+    accessLog.forget(key);
     res.json({ 
       message: 'File deleted successfully',
       filename: filename
@@ -257,178 +661,1649 @@ app.delete('/outputs', (req, res) => {
 });
 
 // Upload endpoint
-app.post("/upload", upload.single("file"), (req, res) => {
+app.post("/upload", checkStorageQuota, upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    let finalFilename = req.file.filename;
+    let finalFilename;
+    let metadata;
 
     if (req.body.filename) {
-      const oldPath = req.file.path;
-      const newPath = path.join(uploadDir, req.body.filename);
-      fs.renameSync(oldPath, newPath);
+      if (!isValidName(req.body.filename)) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({ error: "Invalid filename" });
+      }
       finalFilename = req.body.filename;
+      metadata = await storeUpload(req.space, req.file.path, finalFilename);
+    } else {
+      ({ filename: finalFilename, metadata } = await storeNewUpload(req.space, req.file.path, req.file.originalname));
     }
 
     res.json({
       filename: finalFilename,
       size: req.file.size,
-      mimetype: req.file.mimetype
+      mimetype: req.file.mimetype,
+      metadata
     });
   } catch (error) {
     console.error("Upload error:", error);
+    if (req.file) await fs.remove(req.file.path);
     res.status(500).json({ error: "Upload failed" });
   }
 });
 
-// Render endpoint
-app.post("/render", async (req, res) => {
-  try {
-    const { resolution, quality, extension, timeline, subtitles } = req.body;
+// Resumable upload session of the request's namespace, or null
+const ownSession = (req) => {
+  const session = sessions.get(req.params.id);
+  return session && ownedBy(session, req.space) ? session : null;
+};
 
-    // Validate timeline
-    if (!timeline || !Array.isArray(timeline) || timeline.length === 0) {
-      return res.status(400).json({ error: "Invalid timeline" });
+// Start a resumable upload: { filename, size, mimetype }. The file is stored
+// under `filename` (made unique like form uploads) once all `size` bytes arrived.
+app.post("/uploads/sessions", async (req, res) => {
+  try {
+    const { filename, size, mimetype } = req.body || {};
+    if (!isValidName(filename)) {
+      return res.status(400).json({ error: "Provide a valid 'filename'" });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: "'size' must be a positive number of bytes" });
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes` });
+    }
+    if (mimetype !== undefined && typeof mimetype !== "string") {
+      return res.status(400).json({ error: "'mimetype' must be a string" });
+    }
+    if (size > await storageRoom(req)) {
+      return res.status(429).json({
+        error: "Upload would exceed the storage limit",
+        limit: "storageBytes",
+        usage: await storageUsed(req.space)
+      });
     }
 
-    // Validate and map files
-    const fileMap = {};
-    for (const item of timeline) {
-      // Skip file validation for text items
-      if (item.type === "text") {
-        if (!item.text) {
-          return res.status(400).json({
-            error: "Text items must have a 'text' property",
-            item: item
-          });
-        }
-        continue;
-      }
+    const session = sessions.create({ filename, size, mimetype, owner: req.space.owner });
+    res.set({ "Location": `/uploads/sessions/${session.id}`, "Upload-Offset": "0" });
+    res.status(201).json(describeSession(session));
+  } catch (error) {
+    console.error("Upload session error:", error);
+    res.status(500).json({ error: "Failed to create upload session" });
+  }
+});
 
-      // Validate non-text items
-      if (!item.filename) {
-        return res.status(400).json({
-          error: "Non-text items must have a 'filename' property",
-          item: item
-        });
-      }
+// Open resumable uploads
+app.get("/uploads/sessions", (req, res) => {
+  res.json({ sessions: sessions.list(req.space.owner).map(describeSession) });
+});
 
-      const filePath = path.join(uploadDir, item.filename);
-      if (!fs.existsSync(filePath)) {
-        return res.status(400).json({ 
-          error: `File not found: ${item.filename}`,
-          item: item
-        });
-      }
-      fileMap[item.filename] = filePath;
-    }
+app.get("/uploads/sessions/:id", (req, res) => {
+  const session = ownSession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Upload session not found" });
+  }
+  res.set("Upload-Offset", String(session.offset));
+  res.json(describeSession(session));
+});
 
-    // Create job
-    const jobId = uuidv4();
-    let renderResult;
-    try {
-      renderResult = renderJob({
-        instructions: { resolution, quality, extension, timeline, subtitles, scaling: req.body.scaling },
-        fileMap,
-        outputDir: outputDir
-      });
-    } catch (error) {
-      console.error("Render initialization error:", error);
-      return res.status(500).json({ error: "Failed to initialize render job" });
-    }
+// Current offset in headers only, for clients resuming after a dropped connection
+app.head("/uploads/sessions/:id", (req, res) => {
+  const session = ownSession(req);
+  if (!session) {
+    return res.status(404).end();
+  }
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Cache-Control": "no-store"
+  });
+  res.status(200).end();
+});
 
-    const { command, promise } = renderResult;
+// Append a chunk: the raw bytes as body, with `Upload-Offset` set to the
+// session's current offset. The chunk completing the file stores it and
+// answers with the same `file` details as POST /upload.
+app.patch("/uploads/sessions/:id", async (req, res) => {
+  const session = ownSession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Upload session not found" });
+  }
+  if (!req.is("application/offset+octet-stream") && !req.is("application/octet-stream")) {
+    return res.status(415).json({ error: "Send chunks as application/offset+octet-stream" });
+  }
+  const offset = /^\d+$/.test(req.get("upload-offset") || "") ? parseInt(req.get("upload-offset"), 10) : null;
+  if (offset === null) {
+    return res.status(400).json({ error: "The Upload-Offset header is required" });
+  }
+  const length = parseInt(req.get("content-length"), 10);
+  if (Number.isInteger(length) && offset + length > session.size) {
+    return res.status(413).json({ error: `Chunk goes past the declared upload size of ${session.size} bytes`, offset: session.offset });
+  }
 
-    // Store job
-    const job = {
-      command,
-      promise,
-      status: "processing",
-      progress: 0,
-      startTime: Date.now()
-    };
-    jobs.set(jobId, job);
-
-    // Handle progress updates
-    if (command) {
-      command.on("status", (status) => {
-        const job = jobs.get(jobId);
-        if (job) {
-          job.progress = status.progress;
-          job.status = status.progress >= 100 ? "finished" : "processing";
-        }
-      });
+  let updated;
+  try {
+    updated = await sessions.append(session.id, offset, req);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Upload chunk error:", error);
+      return res.status(500).json({ error: "Failed to write chunk" });
     }
+    res.set("Upload-Offset", String(error.offset));
+    return res.status(error.statusCode).json({ error: error.message, offset: error.offset });
+  }
+  res.set("Upload-Offset", String(updated.offset));
 
-    // Handle completion
-    if (promise) {
-      promise
-        .then((outputPath) => {
-          const job = jobs.get(jobId);
-          if (job) {
-            job.status = "finished";
-            job.outputPath = outputPath;
-          }
-        })
-        .catch((error) => {
-          console.error("Render error:", error);
-          const job = jobs.get(jobId);
-          if (job) {
-            job.status = "failed";
-            job.error = error.message;
-          }
-        });
-    }
+  if (updated.offset < updated.size) {
+    return res.json({ ...describeSession(updated), complete: false });
+  }
 
+  // Last chunk: move the file into storage. If that fails the session stays,
+  // and an empty PATCH at the final offset retries it.
+  try {
+    const { filename, metadata } = await storeNewUpload(req.space, sessions.partPath(updated.id), updated.filename);
+    sessions.remove(updated.id, { keepFile: true });
     res.json({
-      jobId,
-      status: "processing"
+      ...describeSession(updated),
+      complete: true,
+      file: { filename, size: updated.size, mimetype: updated.mimetype, metadata }
     });
   } catch (error) {
-    console.error("Render error:", error);
-    res.status(500).json({ error: "Render failed" });
+    console.error("Upload session error:", error);
+    res.status(500).json({ error: "Upload failed" });
   }
 });
 
-// Status endpoint
-app.get("/status/:jobId", (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
+// Abandon a resumable upload and discard what was received
+app.delete("/uploads/sessions/:id", (req, res) => {
+  const session = ownSession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Upload session not found" });
   }
+  if (sessions.isBusy(session.id)) {
+    return res.status(409).json({ error: "A chunk is being written to this upload" });
+  }
+  sessions.remove(session.id);
+  res.json({ message: "Upload session deleted successfully", id: session.id });
+});
 
-  res.json({
-    status: job.status,
-    progress: job.progress,
-    error: job.error,
-    duration: Date.now() - job.startTime
-  });
+// URL import of the request's namespace, or null
+const ownImport = (req) => {
+  const record = imports.get(req.params.id);
+  return record && ownedBy(record, req.space) ? record : null;
+};
+
+// Import media from an HTTP(S) URL in the background: { url, filename }.
+// Without `filename` the name comes from Content-Disposition or the URL path;
+// either way it is made unique like form uploads. /uploads/imports is accepted
+// too, alongside the listing routes below.
+app.post(["/uploads/import", "/uploads/imports"], async (req, res) => {
+  try {
+    const { url, filename } = req.body || {};
+    const urlError = validateImportUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (filename !== undefined && !isValidName(filename)) {
+      return res.status(400).json({ error: "Invalid filename" });
+    }
+    const room = await storageRoom(req);
+    if (room <= 0) {
+      return res.status(429).json({
+        error: "Storage limit reached – delete uploads or outputs first",
+        limit: "storageBytes",
+        usage: await storageUsed(req.space)
+      });
+    }
+
+    const record = imports.start({
+      url,
+      filename,
+      owner: req.space.owner,
+      maxBytes: Math.min(MAX_UPLOAD_BYTES, room)
+    });
+    res.status(202).json(describeImport(record));
+  } catch (error) {
+    console.error("Import error:", error);
+    res.status(500).json({ error: "Failed to start import" });
+  }
 });
 
-// Download endpoint
-app.get("/download/:jobId", (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job || !job.outputPath) {
-    return res.status(404).json({ error: "Output not found" });
+// URL imports, newest first
+app.get("/uploads/imports", (req, res) => {
+  res.json({ imports: imports.list(req.space.owner).map(describeImport) });
+});
+
+app.get("/uploads/imports/:id", (req, res) => {
+  const record = ownImport(req);
+  if (!record) {
+    return res.status(404).json({ error: "Import not found" });
+  }
+  res.json(describeImport(record));
+});
+
+// Cancel a running import
+app.delete("/uploads/imports/:id", (req, res) => {
+  const record = ownImport(req);
+  if (!record) {
+    return res.status(404).json({ error: "Import not found" });
   }
+  if (!imports.cancel(record.id)) {
+    return res.status(409).json({ error: `Import is already ${record.status}` });
+  }
+  res.json(describeImport(record));
+});
 
-  res.download(job.outputPath);
+// Thumbnail of an upload at ?t= seconds
+app.get("/uploads/:filename/thumbnail", async (req, res) => {
+  const filename = await findUpload(req, res);
+  if (!filename) return;
+
+  try {
+    const thumbnailPath = await req.space.media.thumbnail(filename, {
+      time: Math.max(0, parseFloat(req.query.t) || 0),
+      width: intQuery(req.query.width, 320, 16, 1920)
+    });
+    res.sendFile(thumbnailPath);
+  } catch (error) {
+    console.error("Thumbnail error:", error);
+    res.status(422).json({ error: error.message });
+  }
 });
 
-// Download output file directly by filename
-app.get("/outputs/:filename", (req, res) => {
-  const filePath = path.join(outputDir, req.params.filename);
-  
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "File not found" });
+// Sprite sheet of evenly spaced frames, e.g. for scrubbing previews
+app.get("/uploads/:filename/sprite", async (req, res) => {
+  const filename = await findUpload(req, res);
+  if (!filename) return;
+
+  try {
+    const sprite = await req.space.media.sprite(filename, {
+      columns: intQuery(req.query.columns, 5, 1, 20),
+      rows: intQuery(req.query.rows, 5, 1, 20),
+      width: intQuery(req.query.width, 160, 16, 640)
+    });
+    res.set({
+      "X-Sprite-Columns": String(sprite.columns),
+      "X-Sprite-Rows": String(sprite.rows),
+      "X-Sprite-Interval": String(sprite.interval)
+    });
+    res.sendFile(sprite.path);
+  } catch (error) {
+    console.error("Sprite error:", error);
+    res.status(422).json({ error: error.message });
   }
+});
+
+// Audio waveform as PNG (default) or JSON peaks (?format=json)
+app.get("/uploads/:filename/waveform", async (req, res) => {
+  const filename = await findUpload(req, res);
+  if (!filename) return;
+
+  try {
+    if (req.query.format === "json") {
+      const waveform = await req.space.media.waveformPeaks(filename, {
+        samples: intQuery(req.query.samples, 1000, 10, 10000)
+      });
+      return res.json(waveform);
+    }
+
+    const color = /^[a-zA-Z]+$|^0x[0-9a-fA-F]{6}$/.test(req.query.color || "") ? req.query.color : "white";
+    const waveformPath = await req.space.media.waveformImage(filename, {
+      width: intQuery(req.query.width, 1200, 16, 4096),
+      height: intQuery(req.query.height, 200, 16, 1024),
+      color
+    });
+    res.sendFile(waveformPath);
+  } catch (error) {
+    console.error("Waveform error:", error);
+    res.status(422).json({ error: error.message });
+  }
+});
 
-  res.download(filePath);
+// List fonts usable in text styles
+app.get("/fonts", (req, res) => {
+  res.json({ fonts: styles.listFonts() });
 });
 
-app.listen(PORT, () => {
-  console.log(`FFmux server listening on http://localhost:${PORT}`);
+// Upload a TTF/OTF font, named after the file unless `name` is given
+app.post("/fonts", fontUpload.single("file"), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+
+  try {
+    const name = req.body.name || path.parse(req.file.originalname).name;
+    if (!styles.isValidName(name)) {
+      return res.status(400).json({ error: "Font names may only contain letters, digits, '-' and '_'" });
+    }
+    if (styles.hasFont(name)) {
+      return res.status(409).json({ error: `Font already exists: ${name}` });
+    }
+
+    const font = styles.addFont(name, req.file.path, req.file.originalname);
+    res.status(201).json(font);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  } finally {
+    fs.removeSync(req.file.path);
+  }
+});
+
+app.delete("/fonts/:name", (req, res) => {
+  const { name } = req.params;
+  if (!styles.hasFont(name)) {
+    return res.status(404).json({ error: "Font not found" });
+  }
+  if (styles.isBuiltInFont(name)) {
+    return res.status(409).json({ error: "Built-in fonts can't be deleted" });
+  }
+  const usedBy = styles.stylesUsingFont(name);
+  if (usedBy.length > 0) {
+    return res.status(409).json({ error: `Font is used by styles: ${usedBy.join(", ")}` });
+  }
+
+  styles.removeFont(name);
+  res.json({ message: "Font deleted successfully", name });
+});
+
+// List built-in and user text style presets
+app.get("/styles", (req, res) => {
+  res.json({ styles: styles.listStyles() });
+});
+
+app.get("/styles/:name", (req, res) => {
+  const style = styles.getStyle(req.params.name);
+  if (!style) {
+    return res.status(404).json({ error: "Style not found" });
+  }
+  res.json(style);
+});
+
+// Create a style preset: { name, font, fontSize, fontColor, ... }
+app.post("/styles", (req, res) => {
+  const { name, ...definition } = req.body || {};
+  if (typeof name !== "string" || !styles.isValidName(name)) {
+    return res.status(400).json({ error: "Style names may only contain letters, digits, '-' and '_'" });
+  }
+  if (styles.hasStyle(name)) {
+    return res.status(409).json({ error: `Style already exists: ${name}` });
+  }
+  const styleError = styles.validateStyle(definition);
+  if (styleError) {
+    return res.status(400).json({ error: styleError });
+  }
+
+  res.status(201).json(styles.saveStyle(name, definition));
+});
+
+// Replace a user style preset. Queued jobs keep the version they were submitted with.
+app.put("/styles/:name", (req, res) => {
+  const { name } = req.params;
+  if (styles.isBuiltInStyle(name)) {
+    return res.status(409).json({ error: "Built-in styles can't be changed" });
+  }
+  if (!styles.hasStyle(name)) {
+    return res.status(404).json({ error: "Style not found" });
+  }
+  const { name: bodyName, ...definition } = req.body || {};
+  if (bodyName !== undefined && bodyName !== name) {
+    return res.status(400).json({ error: "Styles can't be renamed" });
+  }
+  const styleError = styles.validateStyle(definition);
+  if (styleError) {
+    return res.status(400).json({ error: styleError });
+  }
+
+  res.json(styles.saveStyle(name, definition));
+});
+
+app.delete("/styles/:name", (req, res) => {
+  const { name } = req.params;
+  if (styles.isBuiltInStyle(name)) {
+    return res.status(409).json({ error: "Built-in styles can't be deleted" });
+  }
+  if (!styles.hasStyle(name)) {
+    return res.status(404).json({ error: "Style not found" });
+  }
+
+  styles.removeStyle(name);
+  res.json({ message: "Style deleted successfully", name });
+});
+
+// Brand kit responses leave out the namespace
+const describeBrandKit = ({ owner, createdAt, updatedAt, ...kit }) => ({
+  ...kit,
+  created: new Date(createdAt),
+  updated: new Date(updatedAt)
+});
+
+// Check a kit definition and the uploads it refers to. Returns an error message, or null.
+const checkBrandKit = async (definition, space) => {
+  const kitError = validateBrandKit(definition, { hasStyle: (name) => styles.hasStyle(name) });
+  if (kitError) return kitError;
+  for (const filename of brandKitFilenames(definition)) {
+    if (!isValidName(filename) || !(await storage.exists(`${space.uploads}/${filename}`))) {
+      return `File not found: ${filename}`;
+    }
+  }
+  return null;
+};
+
+// List the brand kits of the request's namespace
+app.get("/brand-kits", (req, res) => {
+  res.json({ brandKits: brandKits.list(req.space.owner).map(describeBrandKit) });
+});
+
+app.get("/brand-kits/:name", (req, res) => {
+  const kit = brandKits.get(req.space.owner, req.params.name);
+  if (!kit) {
+    return res.status(404).json({ error: "Brand kit not found" });
+  }
+  res.json(describeBrandKit(kit));
+});
+
+// Create a brand kit: { name, watermark, intro, outro, textStyle, lowerThirds }
+app.post("/brand-kits", async (req, res) => {
+  try {
+    const { name, ...definition } = req.body || {};
+    if (!isValidKitName(name)) {
+      return res.status(400).json({ error: "Brand kit names may only contain letters, digits, '-' and '_'" });
+    }
+    if (brandKits.get(req.space.owner, name)) {
+      return res.status(409).json({ error: `Brand kit already exists: ${name}` });
+    }
+    const kitError = await checkBrandKit(definition, req.space);
+    if (kitError) {
+      return res.status(400).json({ error: kitError });
+    }
+
+    res.status(201).json(describeBrandKit(brandKits.save(req.space.owner, name, resolveBrandKit(definition))));
+  } catch (error) {
+    console.error("Brand kit error:", error);
+    res.status(500).json({ error: "Failed to save brand kit" });
+  }
+});
+
+// Replace a brand kit. Queued jobs keep the kit they were submitted with.
+app.put("/brand-kits/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!brandKits.get(req.space.owner, name)) {
+      return res.status(404).json({ error: "Brand kit not found" });
+    }
+    const { name: bodyName, ...definition } = req.body || {};
+    if (bodyName !== undefined && bodyName !== name) {
+      return res.status(400).json({ error: "Brand kits can't be renamed" });
+    }
+    const kitError = await checkBrandKit(definition, req.space);
+    if (kitError) {
+      return res.status(400).json({ error: kitError });
+    }
+
+    res.json(describeBrandKit(brandKits.save(req.space.owner, name, resolveBrandKit(definition))));
+  } catch (error) {
+    console.error("Brand kit error:", error);
+    res.status(500).json({ error: "Failed to save brand kit" });
+  }
+});
+
+app.delete("/brand-kits/:name", (req, res) => {
+  const { name } = req.params;
+  if (!brandKits.get(req.space.owner, name)) {
+    return res.status(404).json({ error: "Brand kit not found" });
+  }
+
+  brandKits.remove(req.space.owner, name);
+  res.json({ message: "Brand kit deleted successfully", name });
+});
+
+// Length of a bumper segment on the timeline, probing video files
+const bumperLength = async (item, space) => {
+  if (item.type === "image") return item.duration || 5;
+  if (!isValidName(item.filename)) {
+    throw new Error(`File not found: ${item.filename}`);
+  }
+  const metadata = await space.media.getMetadata(item.filename);
+  if (!metadata || !metadata.duration) {
+    throw new Error(`Could not read the duration of ${item.filename}`);
+  }
+  return resolveVideoTiming(item, metadata.duration).duration;
+};
+
+// Expand a request's `brandKit` into a plain render request. The intro is
+// measured here so the request's own times can count from its end.
+// Returns { body, introItems } or { error } with the 400 response body;
+// `introItems` is the number of segments put in front of the timeline.
+const expandBrandKit = async (body, space) => {
+  const timeline = body && Array.isArray(body.timeline) ? body.timeline : [];
+  if (!body || body.brandKit === undefined) {
+    if (timeline.some(item => item && item.type === "lowerThird")) {
+      return { error: { error: "lowerThird items need a brandKit" } };
+    }
+    return { body, introItems: 0 };
+  }
+
+  try {
+    const { name, use } = parseBrandKitReference(body.brandKit);
+    const kit = brandKits.get(space.owner, name);
+    if (!kit) {
+      return { error: { error: `Brand kit not found: ${name}` } };
+    }
+    if (!Array.isArray(body.timeline)) {
+      return { error: { error: "Invalid timeline" } };
+    }
+
+    const { intro, outro } = brandBumpers(kit, use);
+    let contentStart = 0;
+    if (intro) {
+      contentStart = await bumperLength(intro, space);
+      // A transition out of the intro overlaps the first segment after it
+      const transition = parseTransition(intro);
+      const followed = outro || timeline.some(item => item && (item.type === "video" || item.type === "image"));
+      if (transition && followed) {
+        contentStart -= transition.duration;
+      }
+    }
+
+    return {
+      body: applyBrandKit(body, kit, { use, contentStart }),
+      introItems: intro ? 1 : 0
+    };
+  } catch (error) {
+    return { error: { error: error.message } };
+  }
+};
+
+// Validate a render request against the files of a namespace and build the
+// job to queue for it. Returns { job } or { error } with the 400 response body.
+const prepareRenderJob = async (request, space) => {
+  const invalid = (error) => ({ error });
+
+  // Queued jobs keep the brand kit as it was when they were submitted
+  const expanded = await expandBrandKit(request, space);
+  if (expanded.error) {
+    return invalid(expanded.error);
+  }
+  const { body } = expanded;
+  const { resolution, quality, extension, output, timeline, subtitles, loudness, webhook } = body;
+
+  // Validate timeline
+  if (!timeline || !Array.isArray(timeline) || timeline.length === 0) {
+    return invalid({ error: "Invalid timeline" });
+  }
+
+  // Reject codec/container combinations that can't work before queueing
+  try {
+    resolveOutputSettings({ output, extension, quality });
+  } catch (error) {
+    return invalid({ error: error.message });
+  }
+
+  // Snapshot the user style presets the request refers to
+  const textStyles = styles.resolveStyles([
+    ...timeline.filter(item => item && item.type === "text" && item.style).map(item => item.style),
+    ...(subtitles && subtitles.style ? [subtitles.style] : [])
+  ]);
+
+  // Reject loudness targets loudnorm can't reach
+  try {
+    resolveLoudness(loudness);
+  } catch (error) {
+    return invalid({ error: error.message });
+  }
+
+  // Reject unparseable subtitles before queueing
+  if (subtitles !== undefined) {
+    try {
+      normalizeSubtitles(subtitles, textStyles);
+    } catch (error) {
+      return invalid({ error: error.message });
+    }
+  }
+
+  // Validate optional completion webhook
+  if (webhook !== undefined) {
+    const webhookError = validateWebhook(webhook);
+    if (webhookError) {
+      return invalid({ error: webhookError });
+    }
+  }
+
+  // Validate and map files
+  const fileMap = {};
+  for (const item of timeline) {
+    // Skip file validation for text items
+    if (item.type === "text") {
+      if (!item.text) {
+        return invalid({
+          error: "Text items must have a 'text' property",
+          item: item
+        });
+      }
+      if (item.style && !styles.hasStyle(item.style)) {
+        return invalid({ error: `Invalid text style: ${item.style}`, item: item });
+      }
+      try {
+        normalizeTextAnimation(item.animation, { startTime: item.startTime || 0, duration: item.duration || 5 });
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+      continue;
+    }
+
+    // Validate non-text items
+    if (!item.filename) {
+      return invalid({
+        error: "Non-text items must have a 'filename' property",
+        item: item
+      });
+    }
+
+    if (item.type === "audio" && item.duck) {
+      try {
+        resolveDuckOptions(item.duck);
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+
+    if (item.type === "video") {
+      try {
+        checkVideoOptions(item);
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+
+    if (item.type === "video" || item.type === "image") {
+      try {
+        checkSegmentFilters(item.filters, item.filename);
+        normalizeMotion(item.motion);
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+
+    if (item.type === "sticker") {
+      try {
+        checkStickerOptions(item);
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+
+    // A PNG sequence sticker needs every frame of its pattern
+    let filenames = [item.filename];
+    if (item.type === "sticker" && isSequencePattern(item.filename)) {
+      try {
+        filenames = sequenceFrames(item.filename, (await storage.list(space.uploads)).map(file => file.name)).frames;
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+
+    // The item's files and any LUTs its filters apply
+    for (const filename of [...filenames, ...lutFilenames(item.filters)]) {
+      const key = `${space.uploads}/${filename}`;
+      if (!isValidName(filename) || !(await storage.exists(key))) {
+        return invalid({ 
+          error: `File not found: ${filename}`,
+          item: item
+        });
+      }
+      fileMap[filename] = key;
+    }
+
+    // Animated WebP only renders where the FFmpeg build decodes it
+    if (item.type === "sticker" && !isSequencePattern(item.filename)) {
+      try {
+        await probeSticker(item.filename, await storage.fetch(fileMap[item.filename]));
+      } catch (error) {
+        return invalid({ error: error.message, item: item });
+      }
+    }
+  }
+
+  return {
+    job: {
+      owner: space.owner,
+      instructions: { resolution, quality, extension, output, timeline, subtitles, loudness, scaling: body.scaling, textStyles },
+      fileMap,
+      webhook: webhook && {
+        url: webhook.url,
+        headers: webhook.headers || {},
+        secret: webhook.secret,
+        state: "pending",
+        attempts: []
+      }
+    }
+  };
+};
+
+// Render endpoint
+app.post("/render", async (req, res) => {
+  try {
+    const prepared = await prepareRenderJob(req.body, req.space);
+    if (prepared.error) {
+      return res.status(400).json(prepared.error);
+    }
+    if (!(await checkRenderQuota(req, res))) return;
+
+    // Queue job – a worker picks it up as soon as a slot is free
+    const job = jobs.enqueue(prepared.job);
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      position: jobs.position(job.id)
+    });
+  } catch (error) {
+    console.error("Render error:", error);
+    res.status(500).json({ error: "Render failed" });
+  }
+});
+
+// JSON Schema for render requests
+app.get("/render/schema", (req, res) => {
+  res.json(buildRenderSchema({ textStyles: styles.styleNames() }));
+});
+
+// Validate a render request and return the filter graph it would run, without encoding
+app.post("/render/validate", async (req, res) => {
+  try {
+    const expanded = await expandBrandKit(req.body, req.space);
+    if (expanded.error) {
+      return res.json({
+        valid: false,
+        errors: [{ path: req.body.brandKit !== undefined ? "$.brandKit" : "$.timeline", message: expanded.error.error }],
+        totalDuration: null,
+        timeline: null,
+        filterComplex: null,
+        outputOptions: null
+      });
+    }
+    const { body, introItems } = expanded;
+
+    // Report errors against the request as sent: kit items come under $.brandKit
+    const requestLength = Array.isArray(req.body.timeline) ? req.body.timeline.length : 0;
+    const requestPath = (errorPath) => errorPath.replace(/^\$\.timeline\[(\d+)\]/, (match, index) => {
+      const position = Number(index) - introItems;
+      return position >= 0 && position < requestLength ? `$.timeline[${position}]` : "$.brandKit";
+    });
+
+    const textStyles = styles.resolveStyles(styles.styleNames());
+    const validation = await validateRenderRequest(body, { storage, prefix: req.space.uploads, textStyles });
+    const errors = validation.errors.map(error => ({ ...error, path: requestPath(error.path) }));
+
+    let plan = null;
+    if (errors.length === 0) {
+      const { resolution, quality, extension, output, timeline, subtitles, loudness, scaling } = body;
+      try {
+        // renderJob annotates timeline items, so hand it a copy
+        plan = await renderJob({
+          instructions: structuredClone({ resolution, quality, extension, output, timeline, subtitles, loudness, scaling, textStyles }),
+          fileMap: await resolveInputs(validation.fileMap),
+          outputDir: storage.stagingDir(req.space.outputs),
+          dryRun: true
+        });
+      } catch (error) {
+        errors.push({ path: "$", message: error.message });
+      }
+    }
+
+    res.json({
+      valid: errors.length === 0,
+      errors,
+      totalDuration: plan ? plan.totalDuration : null,
+      timeline: plan ? req.body.timeline.map((item, index) => {
+        const planned = body.timeline[index + introItems];
+        return {
+          path: `$.timeline[${index}]`,
+          type: item.type,
+          timelineStart: planned.type === "text"
+            ? (planned.startTime || 0)
+            : plan.timeline[index + introItems].timelineStart
+        };
+      }) : null,
+      filterComplex: plan ? plan.filterComplex : null,
+      outputOptions: plan ? plan.outputOptions : null
+    });
+  } catch (error) {
+    console.error("Validate error:", error);
+    res.status(500).json({ error: "Validation failed" });
+  }
+});
+
+// Template must be a render request body with a non-empty timeline
+const validateTemplate = (template) => {
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    return "Template must be a render request object";
+  }
+  if (!Array.isArray(template.timeline) || template.timeline.length === 0) {
+    return "Template must have a non-empty timeline";
+  }
+  return null;
+};
+
+// Template of the request's namespace, or null
+const ownTemplate = (req) => {
+  const template = templates.get(req.params.id);
+  return template && ownedBy(template, req.space) ? template : null;
+};
+
+// List saved render templates
+app.get("/templates", (req, res) => {
+  res.json({
+    templates: templates.list(req.space.owner).map(({ id, name, variables, createdAt, updatedAt }) => ({
+      id,
+      name,
+      variables,
+      created: new Date(createdAt),
+      updated: new Date(updatedAt)
+    }))
+  });
+});
+
+app.get("/templates/:id", (req, res) => {
+  const template = ownTemplate(req);
+  if (!template) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  res.json(template);
+});
+
+// Save a template: { name, template: <render request with {{placeholders}}> }
+app.post("/templates", (req, res) => {
+  const { name, template } = req.body || {};
+  if (typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({ error: "Templates need a name" });
+  }
+  const templateError = validateTemplate(template);
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
+  res.status(201).json(templates.create({ name: name.trim(), template, owner: req.space.owner }));
+});
+
+// Replace a template. Batches already queued keep the rows they were filled with.
+app.put("/templates/:id", (req, res) => {
+  if (!ownTemplate(req)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  const { name, template } = req.body || {};
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return res.status(400).json({ error: "Templates need a name" });
+  }
+  const templateError = validateTemplate(template);
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
+  res.json(templates.update(req.params.id, { name: name && name.trim(), template }));
+});
+
+app.delete("/templates/:id", (req, res) => {
+  if (!ownTemplate(req)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+
+  templates.remove(req.params.id);
+  res.json({ message: "Template deleted successfully", id: req.params.id });
+});
+
+// Render a template once per row of variables. Accepts a JSON array of rows,
+// { rows: [...] }, { csv: "..." } or a text/csv body with a header row.
+// Every row is checked before anything is queued, so a bad row queues nothing.
+app.post("/templates/:id/render", express.text({ type: "text/csv", limit: "5mb" }), async (req, res) => {
+  try {
+    const template = ownTemplate(req);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    let rows;
+    try {
+      if (typeof req.body === "string") {
+        rows = parseCsv(req.body);
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else if (req.body && typeof req.body.csv === "string") {
+        rows = parseCsv(req.body.csv);
+      } else {
+        rows = req.body && req.body.rows;
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: "Provide at least one row of variables" });
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({ error: `Batches are limited to ${MAX_BATCH_ROWS} rows` });
+    }
+
+    const prepared = [];
+    for (const [row, variables] of rows.entries()) {
+      if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+        return res.status(400).json({ error: "Each row must be an object of variables", row });
+      }
+      let body;
+      try {
+        body = applyTemplate(template.template, variables);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, row });
+      }
+      const result = await prepareRenderJob(body, req.space);
+      if (result.error) {
+        return res.status(400).json({ ...result.error, row });
+      }
+      prepared.push(result.job);
+    }
+    if (!(await checkRenderQuota(req, res, prepared.length))) return;
+
+    const batchId = uuidv4();
+    const queued = prepared.map((job, row) => jobs.enqueue({
+      ...job,
+      templateId: template.id,
+      batchId,
+      batchRow: row
+    }));
+
+    res.status(202).json({
+      batchId,
+      templateId: template.id,
+      total: queued.length,
+      jobs: queued.map(job => job.id)
+    });
+  } catch (error) {
+    console.error("Template render error:", error);
+    res.status(500).json({ error: "Failed to queue batch" });
+  }
+});
+
+// Jobs of a batch in row order
+const batchJobs = (batchId, space) => jobs.list()
+  .filter(job => job.batchId === batchId && ownedBy(job, space))
+  .sort((a, b) => a.batchRow - b.batchRow);
+
+// Overall batch status: queued until any job starts, processing while any job
+// is active, then finished, failed, cancelled or partial (a mix of those)
+const batchStatus = (counts, total) => {
+  if (counts.queued === total) return "queued";
+  if (counts.queued + counts.processing > 0) return "processing";
+  for (const status of ["finished", "failed", "cancelled"]) {
+    if (counts[status] === total) return status;
+  }
+  return "partial";
+};
+
+// Aggregated status of a template batch
+app.get("/batches/:batchId", (req, res) => {
+  const batch = batchJobs(req.params.batchId, req.space);
+  if (batch.length === 0) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const job of batch) {
+    counts[job.status]++;
+  }
+
+  res.json({
+    batchId: req.params.batchId,
+    templateId: batch[0].templateId,
+    status: batchStatus(counts, batch.length),
+    total: batch.length,
+    counts,
+    progress: Math.round(batch.reduce((sum, job) => sum + (job.status === "finished" ? 100 : job.progress || 0), 0) / batch.length),
+    jobs: batch.map(job => ({
+      row: job.batchRow,
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      output: job.status === "finished" && job.outputPath ? path.basename(job.outputPath) : null
+    }))
+  });
+});
+
+// Download every finished output of a batch as one ZIP, named by row number
+app.get("/batches/:batchId/download", async (req, res) => {
+  const batch = batchJobs(req.params.batchId, req.space);
+  if (batch.length === 0) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  let entries;
+  try {
+    // Only outputs that are still stored
+    const digits = String(batch.length).length;
+    entries = [];
+    for (const job of batch.filter(candidate => candidate.status === "finished" && candidate.outputPath)) {
+      const key = outputKeyFor(job);
+      const stat = await storage.stat(key);
+      if (!stat) continue;
+      entries.push({
+        name: `${String(job.batchRow + 1).padStart(digits, "0")}${path.extname(key)}`,
+        modified: stat.modified,
+        size: stat.size,
+        open: () => {
+          accessLog.touch(key);
+          return storage.open(key);
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Batch download error:", error);
+    return res.status(500).json({ error: "Failed to read batch outputs" });
+  }
+  if (entries.length === 0) {
+    return res.status(404).json({ error: "No finished outputs in this batch yet" });
+  }
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="batch-${req.params.batchId}.zip"`,
+    "X-Batch-Complete": String(entries.length === batch.length)
+  });
+  try {
+    await writeZip(res, entries);
+  } catch (error) {
+    console.error("Batch download error:", error);
+    res.destroy();
+  }
+});
+
+// Render history of a project version, with the current job status where the job is still known
+const describeRenders = (version) => version.renders.map(render => {
+  const job = jobs.get(render.jobId);
+  return {
+    jobId: render.jobId,
+    status: job ? job.status : (render.output ? "finished" : "unknown"),
+    output: render.output,
+    created: new Date(render.createdAt),
+    finished: render.finishedAt ? new Date(render.finishedAt) : null
+  };
+});
+
+const describeVersion = (version) => ({
+  version: version.version,
+  note: version.note,
+  created: new Date(version.createdAt),
+  request: version.request,
+  renders: describeRenders(version)
+});
+
+// A project request must pass the same checks as POST /render
+const validateProjectRequest = async (request, space) => {
+  if (!request || typeof request !== "object" || Array.isArray(request)) {
+    return { error: "Projects need a render request in 'request'" };
+  }
+  const prepared = await prepareRenderJob(request, space);
+  return prepared.error || null;
+};
+
+// Parse a :version route parameter; null when it isn't a positive integer
+const versionParam = (value) => (/^[1-9]\d*$/.test(value) ? parseInt(value, 10) : null);
+
+// Project of the request's namespace, or null
+const ownProject = (req) => {
+  const project = projects.get(req.params.id);
+  return project && ownedBy(project, req.space) ? project : null;
+};
+
+// List saved projects, most recently edited first
+app.get("/projects", (req, res) => {
+  res.json({ projects: projects.list(req.space.owner) });
+});
+
+// Save a project: { name, request: <render request>, note }
+app.post("/projects", async (req, res) => {
+  const { name, request, note } = req.body || {};
+  if (typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({ error: "Projects need a name" });
+  }
+  let requestError;
+  try {
+    requestError = await validateProjectRequest(request, req.space);
+  } catch (error) {
+    console.error("Project validation error:", error);
+    return res.status(500).json({ error: "Failed to validate project" });
+  }
+  if (requestError) {
+    return res.status(400).json(requestError);
+  }
+
+  const project = projects.create({ name: name.trim(), request, note, owner: req.space.owner });
+  res.status(201).json({
+    id: project.id,
+    name: project.name,
+    version: describeVersion(project.versions[0])
+  });
+});
+
+app.get("/projects/:id", (req, res) => {
+  const project = ownProject(req);
+  if (!project) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+  res.json({
+    id: project.id,
+    name: project.name,
+    created: new Date(project.createdAt),
+    updated: new Date(project.updatedAt),
+    versions: project.versions.map(describeVersion)
+  });
+});
+
+// Save an edit: { request, note } adds a new version, { name } renames.
+// Earlier versions are never changed.
+app.put("/projects/:id", async (req, res) => {
+  if (!ownProject(req)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+  const { name, request, note } = req.body || {};
+  if (name === undefined && request === undefined) {
+    return res.status(400).json({ error: "Provide a new 'request' and/or 'name'" });
+  }
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return res.status(400).json({ error: "Projects need a name" });
+  }
+  if (request !== undefined) {
+    let requestError;
+    try {
+      requestError = await validateProjectRequest(request, req.space);
+    } catch (error) {
+      console.error("Project validation error:", error);
+      return res.status(500).json({ error: "Failed to validate project" });
+    }
+    if (requestError) {
+      return res.status(400).json(requestError);
+    }
+  }
+
+  if (name !== undefined) {
+    projects.rename(req.params.id, name.trim());
+  }
+  const version = request !== undefined
+    ? projects.addVersion(req.params.id, { request, note })
+    : projects.getVersion(req.params.id);
+  res.json({
+    id: req.params.id,
+    name: projects.get(req.params.id).name,
+    version: describeVersion(version)
+  });
+});
+
+app.delete("/projects/:id", (req, res) => {
+  if (!ownProject(req)) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  projects.remove(req.params.id);
+  res.json({ message: "Project deleted successfully", id: req.params.id });
+});
+
+app.get("/projects/:id/versions/:version", (req, res) => {
+  const versionNumber = versionParam(req.params.version);
+  const version = versionNumber && ownProject(req) && projects.getVersion(req.params.id, versionNumber);
+  if (!version) {
+    return res.status(404).json({ error: "Project version not found" });
+  }
+  res.json(describeVersion(version));
+});
+
+// Render a project version: { version, webhook } – both optional, the latest
+// version and its own webhook are used by default
+app.post("/projects/:id/render", async (req, res) => {
+  try {
+    if (!ownProject(req)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const { version: requested, webhook } = req.body || {};
+    if (requested !== undefined && !(Number.isInteger(requested) && requested > 0)) {
+      return res.status(400).json({ error: "Version must be a positive integer" });
+    }
+    const version = projects.getVersion(req.params.id, requested);
+    if (!version) {
+      return res.status(404).json({ error: "Project version not found" });
+    }
+
+    // renderJob annotates timeline items, so the stored version gets a copy
+    const request = structuredClone(version.request);
+    const prepared = await prepareRenderJob(webhook !== undefined ? { ...request, webhook } : request, req.space);
+    if (prepared.error) {
+      return res.status(400).json(prepared.error);
+    }
+    if (!(await checkRenderQuota(req, res))) return;
+
+    const job = jobs.enqueue({
+      ...prepared.job,
+      projectId: req.params.id,
+      projectVersion: version.version
+    });
+    projects.recordRender(req.params.id, version.version, job.id);
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      position: jobs.position(job.id),
+      projectId: req.params.id,
+      version: version.version
+    });
+  } catch (error) {
+    console.error("Project render error:", error);
+    res.status(500).json({ error: "Render failed" });
+  }
+});
+
+// Job of the request's namespace, or undefined
+const findJob = (req) => {
+  const job = jobs.get(req.params.jobId);
+  return job && ownedBy(job, req.space) ? job : undefined;
+};
+
+// Status endpoint
+app.get("/status/:jobId", (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.json({
+    status: job.status,
+    position: jobs.position(job.id),
+    progress: job.progress,
+    error: job.error,
+    duration: jobDuration(job),
+    webhook: describeWebhook(job.webhook)
+  });
+});
+
+// Server-Sent Events stream of a job's progress until it ends
+app.get("/status/:jobId/events", (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendStatus = () => send("status", {
+    status: job.status,
+    position: jobs.position(job.id),
+    progress: job.progress
+  });
+
+  const sendEnd = () => {
+    send("end", {
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      output: job.status === "finished" && job.outputPath ? path.basename(job.outputPath) : null,
+      duration: jobDuration(job)
+    });
+    res.end();
+  };
+
+  sendStatus();
+  if (!jobs.activeJobs().includes(job)) {
+    return sendEnd();
+  }
+
+  let lastStatus = job.status;
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id || updated.status === lastStatus) return;
+    lastStatus = updated.status;
+    sendStatus();
+  };
+  const onProgress = (updated, status) => {
+    if (updated.id !== job.id) return;
+    send("progress", {
+      progress: status.progress,
+      frames: status.frames,
+      fps: status.currentFps,
+      timemark: status.timemark
+    });
+  };
+  const onEnd = (ended) => {
+    if (ended.id !== job.id) return;
+    cleanup();
+    sendEnd();
+  };
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobs.off("update", onUpdate);
+    jobs.off("progress", onProgress);
+    jobs.off("end", onEnd);
+  };
+
+  jobs.on("update", onUpdate);
+  jobs.on("progress", onProgress);
+  jobs.on("end", onEnd);
+  req.on("close", cleanup);
+});
+
+// List jobs, optionally filtered by status and paged
+app.get("/jobs", (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    let filteredJobs = jobs.list().filter(job => ownedBy(job, req.space));
+
+    // Filter by status (comma separated list allowed)
+    if (status) {
+      const statuses = status.split(',').map(s => s.trim().toLowerCase());
+      const invalid = statuses.filter(s => !JOB_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: `Invalid status: ${invalid.join(', ')}`,
+          validStatuses: JOB_STATUSES
+        });
+      }
+      filteredJobs = filteredJobs.filter(job => statuses.includes(job.status));
+    }
+
+    // Sort by newest first
+    filteredJobs.sort((a, b) => b.createdAt - a.createdAt);
+
+    const pageJobs = filteredJobs.slice((page - 1) * limit, page * limit);
+
+    res.json({
+      total: filteredJobs.length,
+      page,
+      limit,
+      jobs: pageJobs.map(job => ({
+        jobId: job.id,
+        status: job.status,
+        position: jobs.position(job.id),
+        progress: job.progress,
+        error: job.error,
+        output: job.status === "finished" && job.outputPath ? path.basename(job.outputPath) : null,
+        created: new Date(job.createdAt),
+        started: job.startedAt ? new Date(job.startedAt) : null,
+        finished: job.finishedAt ? new Date(job.finishedAt) : null
+      }))
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// Cancel a queued or processing job
+app.delete("/jobs/:jobId", (req, res) => {
+  try {
+    const job = findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (!jobs.cancel(job.id)) {
+      return res.status(409).json({
+        error: `Job is already ${job.status}`
+      });
+    }
+
+    res.json({
+      message: "Job cancelled successfully",
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error("Cancel job error:", error);
+    res.status(500).json({ error: "Failed to cancel job" });
+  }
+});
+
+// Download endpoint
+app.get("/download/:jobId", async (req, res) => {
+  const job = findJob(req);
+  if (!job || job.status !== "finished" || !job.outputPath) {
+    return res.status(404).json({ error: "Output not found" });
+  }
+
+  try {
+    const key = outputKeyFor(job);
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ error: "Output not found" });
+    }
+    await sendStoredFile(req, res, key, path.basename(key));
+  } catch (error) {
+    console.error("Download error:", error);
+    res.status(500).json({ error: "Download failed" });
+  }
+});
+
+// Download output file directly by filename
+app.get("/outputs/:filename", async (req, res) => {
+  const { filename } = req.params;
+  try {
+    // Check if file exists
+    if (!isValidName(filename) || !(await storage.exists(`${req.space.outputs}/${filename}`))) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    await sendStoredFile(req, res, `${req.space.outputs}/${filename}`, filename);
+  } catch (error) {
+    console.error("Download error:", error);
+    res.status(500).json({ error: "Download failed" });
+  }
+});
+
+// Signed link to an output that works without an API key until it expires
+// (?expiresIn= seconds, default SIGNED_URL_TTL, at most 7 days)
+app.get("/outputs/:filename/url", async (req, res) => {
+  const { filename } = req.params;
+  try {
+    const key = `${req.space.outputs}/${filename}`;
+    if (!isValidName(filename) || !(await storage.exists(key))) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    const expiresIn = intQuery(req.query.expiresIn, SIGNED_URL_TTL, 1, SIGNED_URL_MAX_TTL);
+    accessLog.touch(key);
+    res.json({
+      url: await storage.signedUrl(key, { expiresIn, filename, baseUrl: publicBaseUrl(req) }),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    });
+  } catch (error) {
+    console.error("Signed URL error:", error);
+    res.status(500).json({ error: "Failed to create signed URL" });
+  }
+});
+
+// Files behind signed URLs of the local backend. The signature is the only
+// credential, so these requests skip API key checks.
+app.get("/files/*", (req, res) => {
+  const { expires, signature } = req.query;
+  let key;
+  try {
+    key = normalizeKey(req.params[0]);
+  } catch (error) {
+    return res.status(404).json({ error: "File not found" });
+  }
+  if (storage.type !== "local" || !storage.verifySignedUrl(key, expires, signature)) {
+    return res.status(403).json({ error: "Invalid or expired signature" });
+  }
+
+  accessLog.touch(key);
+  res.download(storage.localPath(key), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "File not found" });
+    }
+  });
+});
+
+// Retention sweeps over every namespace: the unauthenticated one and one per key
+const retention = createRetentionSweeper({
+  storage,
+  accessLog,
+  spaces: () => [spaceFor(null), ...keys.list().map(key => spaceFor(key.id))],
+  isInUse: (key) => jobUsingFile(key) !== null,
+  referencedUploads: (owner) => new Set([...projects.referencedUploads(owner), ...brandKits.referencedUploads(owner)]),
+  policy: RETENTION
+});
+
+// Size of the files under a storage prefix
+const prefixStats = async (prefix) => {
+  const files = await storage.list(prefix);
+  return { files: files.length, bytes: files.reduce((total, file) => total + file.size, 0) };
+};
+
+// Storage used by the request's namespace. Admin keys (and everyone with
+// auth disabled) also get the totals of all namespaces, the retention policy
+// and the result of the last sweep.
+app.get("/storage/stats", async (req, res) => {
+  try {
+    const openSessions = sessions.list(req.space.owner);
+    const stats = {
+      backend: storage.type,
+      uploads: await prefixStats(req.space.uploads),
+      outputs: await prefixStats(req.space.outputs),
+      uploadSessions: {
+        sessions: openSessions.length,
+        bytes: openSessions.reduce((total, session) => total + session.offset, 0)
+      }
+    };
+    if (req.apiKey && !hasScope(req.apiKey, "admin")) {
+      return res.json(stats);
+    }
+
+    let totalBytes = 0;
+    for (const space of [spaceFor(null), ...keys.list().map(key => spaceFor(key.id))]) {
+      totalBytes += (await prefixStats(space.uploads)).bytes + (await prefixStats(space.outputs)).bytes;
+    }
+    const { maxBytes } = retention.policy;
+    res.json({
+      ...stats,
+      total: {
+        bytes: totalBytes,
+        maxBytes,
+        percentUsed: maxBytes ? Math.round((totalBytes / maxBytes) * 10000) / 100 : null
+      },
+      retention: retention.policy,
+      lastSweep: retention.lastSweep()
+    });
+  } catch (error) {
+    console.error("Storage stats error:", error);
+    res.status(500).json({ error: "Failed to read storage stats" });
+  }
+});
+
+// Run a retention sweep now instead of waiting for the next one (admin scope)
+app.post("/admin/storage/sweep", async (req, res) => {
+  try {
+    res.json(await retention.sweep());
+  } catch (error) {
+    console.error("Retention sweep error:", error);
+    res.status(500).json({ error: "Retention sweep failed" });
+  }
+});
+
+// Limits and current usage of the calling API key
+app.get("/usage", async (req, res) => {
+  try {
+    res.json({
+      key: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name, scopes: req.apiKey.scopes } : null,
+      limits: req.apiKey ? req.apiKey.limits : null,
+      usage: await usageFor(req)
+    });
+  } catch (error) {
+    console.error("Usage error:", error);
+    res.status(500).json({ error: "Failed to read usage" });
+  }
+});
+
+// List API keys (admin scope)
+app.get("/admin/keys", (req, res) => {
+  res.json({ keys: keys.list() });
+});
+
+// Create an API key: { name, scopes, limits }. The key is only returned here.
+app.post("/admin/keys", (req, res) => {
+  const options = req.body || {};
+  const keyError = validateKeyOptions(options);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  const { key, record } = keys.create(options);
+  res.status(201).json({ ...record, key });
+});
+
+app.get("/admin/keys/:id", async (req, res) => {
+  const key = keys.get(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  try {
+    res.json({
+      ...key,
+      usage: {
+        activeJobs: jobs.activeJobs().filter(job => job.owner === key.id).length,
+        renderMinutesToday: Math.round(keys.renderMinutesToday(key.id) * 100) / 100,
+        storageBytes: await storageUsed(spaceFor(key.id))
+      }
+    });
+  } catch (error) {
+    console.error("Key usage error:", error);
+    res.status(500).json({ error: "Failed to read key usage" });
+  }
+});
+
+// Change a key's name, scopes or limits (limits are merged; null removes one)
+app.patch("/admin/keys/:id", (req, res) => {
+  if (!keys.get(req.params.id)) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  const keyError = validateKeyOptions(req.body || {}, { partial: true });
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  res.json(keys.update(req.params.id, req.body));
+});
+
+// Revoke a key. Its files and jobs are kept.
+app.delete("/admin/keys/:id", (req, res) => {
+  if (!keys.get(req.params.id)) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  if (req.apiKey && req.apiKey.id === req.params.id) {
+    return res.status(409).json({ error: "A key can't revoke itself" });
+  }
+
+  res.json(keys.revoke(req.params.id));
+});
+
+// Resume pending webhook deliveries, recover interrupted jobs, start the workers and the retention sweeps
+webhooks.resume();
+jobs.start().catch(error => console.error("Failed to start the job queue:", error));
+retention.start(RETENTION.sweepInterval);
+
+app.listen(PORT, () => {
+  console.log(`FFmux server listening on http://localhost:${PORT}`);
+  if (AUTH_DISABLED) {
+    console.warn("AUTH_DISABLED is set – every route is open to anyone who can reach this port.");
+  } else if (keys.list().length === 0) {
+    console.warn("No API keys yet – create one with `npm run api-keys -- create <name> --scopes admin`.");
+  }
 }); 
\ No newline at end of file
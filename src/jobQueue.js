@@ -0,0 +1,305 @@
+import { EventEmitter } from "events";
+import path from "path";
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// Statuses a job can be in. Only queued/processing jobs are considered active.
+export const JOB_STATUSES = ["queued", "processing", "finished", "failed", "cancelled"];
+const ACTIVE_STATUSES = ["queued", "processing"];
+const TERMINAL_STATUSES = ["finished", "failed", "cancelled"];
+
+// Fields that only live in memory and must never be written to the journal
+const RUNTIME_FIELDS = ["command", "promise"];
+
+const serializeJob = (job) => {
+  const data = { ...job };
+  for (const field of RUNTIME_FIELDS) {
+    delete data[field];
+  }
+  return data;
+};
+
+// Milliseconds since the job was queued, frozen once the job has ended
+export const jobDuration = (job) => (job.finishedAt || Date.now()) - job.createdAt;
+
+// Creates a persistent FIFO job queue backed by a JSON journal on disk.
+//
+// `runner(job)` must return (or resolve to) `{ command, promise, outputPath }`
+// just like renderJob does. The queue keeps at most `concurrency` runners busy,
+// updates progress from the command's `status` events and persists every state
+// change so the job history survives restarts. Progress ticks are written
+// at most every `progressFlushDelay` ms, and about the newest `historyLimit`
+// finished, failed or cancelled jobs are kept, with a batch's jobs pruned
+// together. `inputsExist(job)` (may be
+// async) decides whether an interrupted job can be re-queued on startup.
+//
+// Emits `update` on every change, `progress` with the raw FFmpeg status of a
+// processing job, and `end` once a job reaches a terminal status (finished,
+// failed or cancelled).
+export function createJobQueue({
+  storePath,
+  concurrency = 1,
+  runner,
+  recovery = "requeue",
+  progressFlushDelay = 2000,
+  historyLimit = 1000,
+  inputsExist = (job) => Object.values(job.fileMap || {}).every(filePath => fs.existsSync(filePath))
+}) {
+  const queue = new EventEmitter();
+  // Every open progress stream subscribes, so don't cap the listener count
+  queue.setMaxListeners(0);
+  const jobs = new Map();
+  const running = new Set();
+
+  // Load existing journal
+  fs.ensureDirSync(path.dirname(storePath));
+  if (fs.existsSync(storePath)) {
+    try {
+      const stored = fs.readJsonSync(storePath);
+      for (const job of stored.jobs || []) {
+        jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error("Failed to read job store, starting with an empty queue:", error);
+    }
+  }
+
+  // Drop the oldest ended jobs beyond `historyLimit`. Jobs of a batch go
+  // together, and only once every job of the batch has ended, so a batch is
+  // never reported (or zipped) with some of its jobs missing.
+  const pruneHistory = () => {
+    const groups = new Map();
+    for (const job of jobs.values()) {
+      const groupId = job.batchId ? `batch:${job.batchId}` : job.id;
+      if (!groups.has(groupId)) groups.set(groupId, []);
+      groups.get(groupId).push(job);
+    }
+    const endedAt = (job) => job.finishedAt || job.createdAt;
+    const ended = [...groups.values()]
+      .filter(group => group.every(job => TERMINAL_STATUSES.includes(job.status)))
+      .map(group => ({ group, endedAt: Math.max(...group.map(endedAt)) }))
+      .sort((a, b) => b.endedAt - a.endedAt);
+
+    // The newest groups are kept whole, even if the last one goes past the limit
+    let kept = 0;
+    for (const { group } of ended) {
+      if (kept >= historyLimit) {
+        group.forEach(job => jobs.delete(job.id));
+      } else {
+        kept += group.length;
+      }
+    }
+  };
+  pruneHistory();
+
+  // Write the journal atomically so a crash mid-write can't corrupt it
+  let flushTimer = null;
+  const persist = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, { jobs: [...jobs.values()].map(serializeJob) });
+    fs.renameSync(tmpPath, storePath);
+  };
+  // Progress changes many times a second; a restart only needs a recent value
+  const schedulePersist = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(persist, progressFlushDelay);
+      flushTimer.unref();
+    }
+  };
+
+  const update = (jobId, patch) => {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    const previousStatus = job.status;
+    Object.assign(job, patch);
+    const ended = job.status !== previousStatus && TERMINAL_STATUSES.includes(job.status);
+    if (ended) pruneHistory();
+    persist();
+    queue.emit("update", job);
+    if (ended) {
+      queue.emit("end", job);
+    }
+    return job;
+  };
+
+  const queuedJobs = () => [...jobs.values()]
+    .filter(job => job.status === "queued")
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const run = async (job) => {
+    running.add(job.id);
+    update(job.id, { status: "processing", startedAt: Date.now() });
+
+    try {
+      const { command, promise, outputPath } = await runner(job);
+      job.command = command;
+      job.promise = promise;
+      update(job.id, { outputPath });
+
+      if (command) {
+        // fluent-ffmpeg probes its inputs before spawning FFmpeg, and a job
+        // cancelled until then can only be killed once the process exists
+        command.on("start", () => {
+          if (job.status === "cancelled") killCommand(job);
+        });
+        command.on("status", (status) => {
+          // Progress is persisted too, so clients polling after a restart see a recent value
+          job.progress = status.progress;
+          schedulePersist();
+          queue.emit("update", job);
+          queue.emit("progress", job, status);
+        });
+      }
+
+      // Cancelled while the runner was still probing inputs
+      if (job.status === "cancelled") {
+        killCommand(job);
+      }
+
+      await promise;
+      if (job.status === "cancelled") {
+        // Cancelled too late to stop FFmpeg: drop what it produced
+        removeOutput(job);
+      } else {
+        update(job.id, { status: "finished", progress: 100, finishedAt: Date.now() });
+      }
+    } catch (error) {
+      if (job.status === "cancelled") {
+        // Killing FFmpeg rejects the render promise – that's expected here
+        removeOutput(job);
+      } else {
+        console.error("Render error:", error);
+        update(job.id, { status: "failed", error: error.message, finishedAt: Date.now() });
+      }
+    } finally {
+      delete job.command;
+      delete job.promise;
+      running.delete(job.id);
+      drain();
+    }
+  };
+
+  // Kill a job's FFmpeg process. Before it is spawned this does nothing; the
+  // command's `start` handler kills it as soon as it exists.
+  const killCommand = (job) => {
+    if (!job.command || !job.command.ffmpegProc) return;
+    try {
+      job.command.kill("SIGKILL");
+    } catch (error) {
+      console.warn(`Failed to kill FFmpeg for job ${job.id}:`, error);
+    }
+  };
+
+  const removeOutput = (job) => {
+    if (job.outputPath && fs.existsSync(job.outputPath)) {
+      fs.removeSync(job.outputPath);
+    }
+  };
+
+  // Start queued jobs until every worker slot is taken
+  const drain = () => {
+    const pending = queuedJobs();
+    while (running.size < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  };
+
+  // A failed check (e.g. storage briefly unreachable) re-queues the job
+  // anyway; a render whose inputs are really gone fails with its own error
+  const inputsStillExist = async (job) => {
+    try {
+      return await inputsExist(job);
+    } catch (error) {
+      console.warn(`Could not check the inputs of job ${job.id}:`, error);
+      return true;
+    }
+  };
+
+  // Jobs that were processing when the process died are either put back
+  // at the front of the queue or marked failed, depending on `recovery`.
+  const recover = async () => {
+    const failedJobs = [];
+    for (const job of jobs.values()) {
+      if (job.status !== "processing") continue;
+
+      // Remove whatever partial output the interrupted run left behind
+      removeOutput(job);
+
+      if (recovery === "requeue" && await inputsStillExist(job)) {
+        console.log(`Re-queueing interrupted job ${job.id}`);
+        Object.assign(job, { status: "queued", progress: 0, outputPath: undefined, startedAt: undefined });
+      } else {
+        console.log(`Marking interrupted job ${job.id} as failed`);
+        Object.assign(job, {
+          status: "failed",
+          error: "Job was interrupted by a server restart",
+          finishedAt: Date.now()
+        });
+        failedJobs.push(job);
+      }
+    }
+    persist();
+    failedJobs.forEach(job => queue.emit("end", job));
+  };
+
+  return Object.assign(queue, {
+    enqueue(data) {
+      const job = {
+        id: uuidv4(),
+        status: "queued",
+        progress: 0,
+        createdAt: Date.now(),
+        ...data
+      };
+      jobs.set(job.id, job);
+      persist();
+      queue.emit("update", job);
+      drain();
+      return job;
+    },
+
+    get(jobId) {
+      return jobs.get(jobId);
+    },
+
+    list() {
+      return [...jobs.values()];
+    },
+
+    activeJobs() {
+      return [...jobs.values()].filter(job => ACTIVE_STATUSES.includes(job.status));
+    },
+
+    // 1-based position among queued jobs, or null if the job is not waiting
+    position(jobId) {
+      const index = queuedJobs().findIndex(job => job.id === jobId);
+      return index === -1 ? null : index + 1;
+    },
+
+    update,
+
+    // Cancel a queued or processing job. Processing jobs have their FFmpeg
+    // process killed and partial output removed. Returns the job, or null if
+    // it can no longer be cancelled.
+    cancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+
+      update(jobId, { status: "cancelled", finishedAt: Date.now() });
+      if (running.has(jobId)) {
+        killCommand(job);
+        removeOutput(job);
+      }
+      return job;
+    },
+
+    async start() {
+      await recover();
+      drain();
+    }
+  });
+}
@@ -0,0 +1,283 @@
+import { EventEmitter } from "events";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import path from "path";
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// Background imports of media from HTTP(S) URLs. Each import downloads into
+// `downloadDir` with its progress tracked in memory, then hands the file to
+// `store(importRecord, filePath)`, which moves it into storage and resolves
+// with the final file name. Records are journaled so finished and failed
+// imports stay visible after a restart.
+//
+// Emits `update` on every status change.
+
+export const IMPORT_STATUSES = ["downloading", "storing", "finished", "failed", "cancelled"];
+const ACTIVE_STATUSES = ["downloading", "storing"];
+
+const MAX_REDIRECTS = 5;
+const IDLE_TIMEOUT = 30000; // ms without data before a download is given up
+
+// Loopback, private, link-local and other non-public ranges
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+const isBlockedAddress = (address, family) => {
+  const type = family === 6 || family === "IPv6" ? "ipv6" : "ipv4";
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = type === "ipv6" && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return mapped ? BLOCKED_RANGES.check(mapped[1], "ipv4") : BLOCKED_RANGES.check(address, type);
+};
+
+// Validate an import URL. Returns an error message, or null.
+export function validateImportUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return "Provide a valid 'url'";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return "Import url must use http or https";
+  }
+  if (url.username || url.password) {
+    return "Import url must not contain credentials";
+  }
+  return null;
+}
+
+// File name suggested by a Content-Disposition header, or null
+const dispositionFilename = (header) => {
+  if (!header) return null;
+  const extended = /filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/.exec(header);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch (error) {
+      // Fall back to the plain parameter
+    }
+  }
+  const plain = /filename\s*=\s*"?([^";]+)"?/.exec(header);
+  return plain ? plain[1].trim() : null;
+};
+
+// Last path segment of a URL, or null
+const urlFilename = (url) => {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split("/").pop());
+    return name || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Import record without runtime fields, for API responses
+export const describeImport = (record) => ({
+  id: record.id,
+  url: record.url,
+  status: record.status,
+  filename: record.filename,
+  bytesReceived: record.bytesReceived,
+  totalBytes: record.totalBytes,
+  progress: record.totalBytes ? Math.round((record.bytesReceived / record.totalBytes) * 10000) / 100 : null,
+  error: record.error || null,
+  created: new Date(record.createdAt),
+  finished: record.finishedAt ? new Date(record.finishedAt) : null
+});
+
+export function createImportQueue({ storePath, downloadDir, store, allowPrivateHosts = false }) {
+  const queue = new EventEmitter();
+  queue.setMaxListeners(0);
+  fs.ensureDirSync(downloadDir);
+  const imports = new Map();
+  // Abort functions of running downloads
+  const running = new Map();
+
+  if (fs.existsSync(storePath)) {
+    try {
+      for (const record of fs.readJsonSync(storePath).imports || []) {
+        imports.set(record.id, record);
+      }
+    } catch (error) {
+      console.error("Failed to read imports, starting empty:", error);
+    }
+  }
+
+  // Byte counts change constantly and are only journaled with status changes
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, { imports: [...imports.values()] });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  const update = (id, patch) => {
+    const record = imports.get(id);
+    Object.assign(record, patch);
+    persist();
+    queue.emit("update", record);
+    return record;
+  };
+
+  // Imports that were running when the server stopped can't be resumed
+  for (const record of imports.values()) {
+    if (ACTIVE_STATUSES.includes(record.status)) {
+      Object.assign(record, { status: "failed", error: "Import was interrupted by a server restart", finishedAt: Date.now() });
+    }
+  }
+  fs.emptyDirSync(downloadDir);
+  persist();
+
+  // DNS lookup that refuses non-public addresses, so a public name can't
+  // point the server at its own network
+  const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isBlockedAddress(entry.address, entry.family));
+      if (blocked) {
+        return callback(Object.assign(new Error(`Refusing to import from a private address (${blocked.address})`), { code: "EBLOCKED" }));
+      }
+      callback(null, address, family);
+    });
+  };
+
+  // GET `url`, following redirects. Resolves with the response and the url
+  // it finally came from.
+  const get = (url, signal, redirects = 0) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!allowPrivateHosts && net.isIP(target.hostname.replace(/^\[|\]$/g, ""))) {
+      const address = target.hostname.replace(/^\[|\]$/g, "");
+      if (isBlockedAddress(address, net.isIP(address))) {
+        return reject(new Error(`Refusing to import from a private address (${address})`));
+      }
+    }
+    const transport = target.protocol === "https:" ? https : http;
+    const request = transport.get(target, {
+      signal,
+      lookup: allowPrivateHosts ? undefined : safeLookup,
+      headers: { "User-Agent": "FFmux-Import" }
+    }, (response) => {
+      const { statusCode, headers } = response;
+      if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error("Too many redirects"));
+        }
+        const next = new URL(headers.location, target).toString();
+        const redirectError = validateImportUrl(next);
+        if (redirectError) {
+          return reject(new Error(`Redirected to an unsupported url: ${next}`));
+        }
+        return get(next, signal, redirects + 1).then(resolve, reject);
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new Error(`Server responded with ${statusCode}`));
+      }
+      resolve({ response, url });
+    });
+    request.setTimeout(IDLE_TIMEOUT, () => request.destroy(new Error("Download timed out")));
+    request.on("error", reject);
+  });
+
+  const run = async (record, maxBytes) => {
+    const controller = new AbortController();
+    running.set(record.id, () => controller.abort());
+    const filePath = path.join(downloadDir, record.id);
+
+    try {
+      const { response, url } = await get(record.url, controller.signal);
+      const totalBytes = parseInt(response.headers["content-length"], 10) || null;
+      if (totalBytes !== null && totalBytes > maxBytes) {
+        response.destroy();
+        throw new Error(`File is larger than the ${maxBytes} bytes allowed`);
+      }
+      record.totalBytes = totalBytes;
+      record.suggestedName = dispositionFilename(response.headers["content-disposition"]) || urlFilename(url);
+
+      await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(filePath);
+        response.on("data", (chunk) => {
+          record.bytesReceived += chunk.length;
+          if (record.bytesReceived > maxBytes) {
+            response.destroy(new Error(`File is larger than the ${maxBytes} bytes allowed`));
+          }
+        });
+        response.on("error", reject);
+        response.on("aborted", () => reject(new Error("Connection closed before the download finished")));
+        file.on("error", reject);
+        file.on("finish", resolve);
+        response.pipe(file);
+      });
+      if (totalBytes !== null && record.bytesReceived < totalBytes) {
+        throw new Error("Connection closed before the download finished");
+      }
+
+      update(record.id, { status: "storing" });
+      const filename = await store(record, filePath);
+      update(record.id, { status: "finished", filename, finishedAt: Date.now() });
+    } catch (error) {
+      if (record.status !== "cancelled") {
+        update(record.id, { status: "failed", error: error.message, finishedAt: Date.now() });
+      }
+    } finally {
+      running.delete(record.id);
+      await fs.remove(filePath);
+    }
+  };
+
+  return Object.assign(queue, {
+    // Start downloading `url`. `filename` overrides the name taken from the
+    // response or URL; `maxBytes` caps the download size.
+    start({ url, filename = null, owner = null, maxBytes = Infinity }) {
+      const record = {
+        id: uuidv4(),
+        owner,
+        url,
+        requestedName: filename,
+        suggestedName: null,
+        filename: null,
+        status: "downloading",
+        bytesReceived: 0,
+        totalBytes: null,
+        createdAt: Date.now()
+      };
+      imports.set(record.id, record);
+      persist();
+      run(record, maxBytes);
+      return record;
+    },
+
+    get(id) {
+      return imports.get(id) || null;
+    },
+
+    // Imports of one API key namespace (null without auth), newest first
+    list(owner = null) {
+      return [...imports.values()]
+        .filter(record => (record.owner || null) === owner)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // Stop a running download. Returns false when it already ended.
+    cancel(id) {
+      const record = imports.get(id);
+      if (!record || record.status !== "downloading") return false;
+      update(id, { status: "cancelled", finishedAt: Date.now() });
+      const abort = running.get(id);
+      if (abort) abort();
+      return true;
+    }
+  });
+}
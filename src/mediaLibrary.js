@@ -0,0 +1,250 @@
+import ffmpeg from "fluent-ffmpeg";
+import path from "path";
+import fs from "fs-extra";
+import { probeMedia } from "./render.js";
+
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// "30000/1001" -> 29.97
+const parseFrameRate = (rate) => {
+  if (!rate || rate === '0/0') return null;
+  const [num, den] = rate.split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 1000) / 1000;
+};
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Rotation is stored either as a legacy `rotate` tag or in the display matrix side data
+const getRotation = (stream) => {
+  if (stream.tags && stream.tags.rotate !== undefined) {
+    return parseNumber(stream.tags.rotate) || 0;
+  }
+  const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  return displayMatrix ? parseNumber(displayMatrix.rotation) || 0 : 0;
+};
+
+// Reduce ffprobe output to the fields an editor UI needs
+export const summarizeMetadata = (metadata) => {
+  const video = metadata.streams.find(stream => stream.codec_type === 'video');
+  const audio = metadata.streams.find(stream => stream.codec_type === 'audio');
+
+  return {
+    duration: parseNumber(metadata.format.duration),
+    format: metadata.format.format_name,
+    bitrate: parseNumber(metadata.format.bit_rate),
+    hasVideo: Boolean(video),
+    hasAudio: Boolean(audio),
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    frameRate: video ? parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) : null,
+    rotation: video ? getRotation(video) : 0,
+    videoCodec: video ? video.codec_name : null,
+    audioCodec: audio ? audio.codec_name : null,
+    audioChannels: audio ? audio.channels : null,
+    sampleRate: audio ? parseNumber(audio.sample_rate) : null
+  };
+};
+
+const runCommand = (command) => {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+};
+
+// Metadata cache and preview generation for the uploads under `prefix` in
+// `storage`. Metadata is probed once per file version (size + mtime) and
+// persisted to `storePath`; previews are rendered on demand and cached in `previewDir`.
+export function createMediaLibrary({ storage, prefix, storePath, previewDir }) {
+  fs.ensureDirSync(previewDir);
+  let cache = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      cache = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error('Failed to read media cache, re-probing uploads:', error);
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, cache);
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  const keyFor = (filename) => `${prefix}/${filename}`;
+
+  // Local copy of an upload for ffmpeg/ffprobe
+  const filePathFor = (filename) => storage.fetch(keyFor(filename));
+
+  // Cached previews live in a directory per upload so they can be dropped
+  // together. The suffix keeps those apart from the namespaces' own
+  // directories when `previewDir` holds them too.
+  const previewsOf = (filename) => path.join(previewDir, `${filename}.previews`);
+
+  const previewPath = (filename, variant, extension) => {
+    fs.ensureDirSync(previewsOf(filename));
+    return path.join(previewsOf(filename), `${variant}.${extension}`);
+  };
+
+  const removePreviews = (filename) => {
+    fs.removeSync(previewsOf(filename));
+  };
+
+  const getMetadata = async (filename) => {
+    const stats = await storage.stat(keyFor(filename));
+    if (!stats) {
+      throw new Error(`File not found: ${filename}`);
+    }
+    const mtimeMs = stats.modified.getTime();
+    const cached = cache[filename];
+    if (cached && cached.size === stats.size && cached.mtimeMs === mtimeMs) {
+      return cached.metadata;
+    }
+
+    let metadata = null;
+    try {
+      metadata = summarizeMetadata(await probeMedia(await filePathFor(filename)));
+    } catch (error) {
+      console.warn(`Could not probe ${filename}:`, error.message);
+    }
+
+    // A changed file invalidates its previews too
+    if (cached) {
+      removePreviews(filename);
+    }
+    cache[filename] = { size: stats.size, mtimeMs, metadata };
+    persist();
+    return metadata;
+  };
+
+  return {
+    getMetadata,
+
+    // Forget a deleted or renamed upload
+    remove(filename) {
+      removePreviews(filename);
+      if (cache[filename]) {
+        delete cache[filename];
+        persist();
+      }
+    },
+
+    // Single JPEG frame at `time` seconds (ignored for still images)
+    async thumbnail(filename, { time = 0, width = 320 } = {}) {
+      const metadata = await getMetadata(filename);
+      if (!metadata || !metadata.hasVideo) {
+        throw new Error(`${filename} has no video stream`);
+      }
+      // Seek to tenths of a second, so nearby times share one cached frame
+      const seekTime = metadata.duration
+        ? Math.round(Math.min(time, Math.max(metadata.duration - 0.1, 0)) * 10) / 10
+        : 0;
+      const outputPath = previewPath(filename, `thumb-${seekTime}-${width}`, 'jpg');
+      if (!fs.existsSync(outputPath)) {
+        await runCommand(
+          ffmpeg(await filePathFor(filename))
+            .inputOptions(['-ss', String(seekTime)])
+            .outputOptions(['-frames:v', '1', '-vf', `scale=${width}:-2`, '-q:v', '3'])
+            .output(outputPath)
+        );
+      }
+      return outputPath;
+    },
+
+    // Grid of evenly spaced frames, left to right and top to bottom. Tile i shows
+    // the frame at i * interval seconds.
+    async sprite(filename, { columns = 5, rows = 5, width = 160 } = {}) {
+      const metadata = await getMetadata(filename);
+      if (!metadata || !metadata.hasVideo || !metadata.duration) {
+        throw new Error(`${filename} has no video stream with a known duration`);
+      }
+      const interval = metadata.duration / (columns * rows);
+      const outputPath = previewPath(filename, `sprite-${columns}x${rows}-${width}`, 'jpg');
+      if (!fs.existsSync(outputPath)) {
+        await runCommand(
+          ffmpeg(await filePathFor(filename))
+            .outputOptions([
+              '-frames:v', '1',
+              '-vf', `fps=1/${interval},scale=${width}:-2,tile=${columns}x${rows}`,
+              '-q:v', '4'
+            ])
+            .output(outputPath)
+        );
+      }
+      return { path: outputPath, columns, rows, interval };
+    },
+
+    // Waveform as a PNG image
+    async waveformImage(filename, { width = 1200, height = 200, color = 'white' } = {}) {
+      const metadata = await getMetadata(filename);
+      if (!metadata || !metadata.hasAudio) {
+        throw new Error(`${filename} has no audio stream`);
+      }
+      const outputPath = previewPath(filename, `waveform-${width}x${height}-${color}`, 'png');
+      if (!fs.existsSync(outputPath)) {
+        await runCommand(
+          ffmpeg(await filePathFor(filename))
+            .complexFilter(`[0:a]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=${color}[wave]`)
+            .outputOptions(['-map', '[wave]', '-frames:v', '1'])
+            .output(outputPath)
+        );
+      }
+      return outputPath;
+    },
+
+    // Waveform as `samples` peak values between 0 and 1
+    async waveformPeaks(filename, { samples = 1000 } = {}) {
+      const metadata = await getMetadata(filename);
+      if (!metadata || !metadata.hasAudio) {
+        throw new Error(`${filename} has no audio stream`);
+      }
+      const outputPath = previewPath(filename, `waveform-${samples}`, 'json');
+      if (fs.existsSync(outputPath)) {
+        return fs.readJsonSync(outputPath);
+      }
+
+      // Decode to 16-bit mono PCM and keep the loudest sample of each bucket
+      const filePath = await filePathFor(filename);
+      const pcm = await new Promise((resolve, reject) => {
+        const chunks = [];
+        const stream = ffmpeg(filePath)
+          .noVideo()
+          .audioChannels(1)
+          .audioFrequency(WAVEFORM_SAMPLE_RATE)
+          .format('s16le')
+          .on('error', reject)
+          .pipe();
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      });
+
+      const totalSamples = Math.floor(pcm.length / 2);
+      const bucketSize = Math.max(1, Math.floor(totalSamples / samples));
+      const peaks = [];
+      for (let start = 0; start < totalSamples && peaks.length < samples; start += bucketSize) {
+        let peak = 0;
+        const end = Math.min(start + bucketSize, totalSamples);
+        for (let i = start; i < end; i++) {
+          peak = Math.max(peak, Math.abs(pcm.readInt16LE(i * 2)));
+        }
+        peaks.push(Math.round((peak / 32768) * 1000) / 1000);
+      }
+
+      const waveform = {
+        duration: metadata.duration,
+        samples: peaks.length,
+        peaks
+      };
+      fs.writeJsonSync(outputPath, waveform);
+      return waveform;
+    }
+  };
+}
@@ -0,0 +1,94 @@
+import { EASINGS } from "./textAnimations.js";
+
+// Ken Burns pan/zoom for image and video items. A motion moves a window over
+// the scaled picture from one framing to another: `zoom` (1 = the whole
+// frame) and a focal point `x`/`y` (0-1 across the frame, 0.5 = centre) that
+// the window is kept centred on as far as the frame edges allow.
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 5;
+
+const CENTER = { x: 0.5, y: 0.5 };
+
+export const MOTION_PRESETS = {
+  'zoom-in-center': { from: { zoom: 1, ...CENTER }, to: { zoom: 1.3, ...CENTER } },
+  'zoom-out-center': { from: { zoom: 1.3, ...CENTER }, to: { zoom: 1, ...CENTER } },
+  'pan-left-to-right': { from: { zoom: 1.2, x: 0, y: 0.5 }, to: { zoom: 1.2, x: 1, y: 0.5 } },
+  'pan-right-to-left': { from: { zoom: 1.2, x: 1, y: 0.5 }, to: { zoom: 1.2, x: 0, y: 0.5 } },
+  'pan-top-to-bottom': { from: { zoom: 1.2, x: 0.5, y: 0 }, to: { zoom: 1.2, x: 0.5, y: 1 } },
+  'pan-bottom-to-top': { from: { zoom: 1.2, x: 0.5, y: 1 }, to: { zoom: 1.2, x: 0.5, y: 0 } }
+};
+
+const DEFAULT_EASING = 'linear';
+
+// zoompan positions the window in whole pixels of its input, so an image is
+// scaled up by this much first – the window then moves in quarter pixels of
+// the output and slow pans don't jitter. Video isn't oversampled: scaling
+// every frame to 4× the output (7680x4320 at 1080p) costs far more than the
+// steps show under moving footage.
+export const MOTION_OVERSAMPLE = 4;
+
+const normalizeFraming = (framing, fallback, label) => {
+  const result = { ...fallback, ...framing };
+  if (!(typeof result.zoom === 'number' && result.zoom >= MIN_ZOOM && result.zoom <= MAX_ZOOM)) {
+    throw new Error(`Invalid motion ${label} zoom: must be between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+  }
+  for (const axis of ['x', 'y']) {
+    if (!(typeof result[axis] === 'number' && result[axis] >= 0 && result[axis] <= 1)) {
+      throw new Error(`Invalid motion ${label} ${axis}: must be between 0 and 1`);
+    }
+  }
+  return result;
+};
+
+// Resolve an item's `motion` (a preset name, or { preset, from, to, easing }
+// with from/to as { zoom, x, y }) into { from, to, easing }, or null when
+// there is none. Throws on invalid values.
+export function normalizeMotion(motion) {
+  if (motion === undefined || motion === null) return null;
+  const options = typeof motion === 'string' ? { preset: motion } : motion;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Motion must be a preset name or an object with "from" and "to"');
+  }
+
+  let preset = null;
+  if (options.preset !== undefined) {
+    preset = MOTION_PRESETS[options.preset];
+    if (!preset) {
+      throw new Error(`Invalid motion preset: ${options.preset}. Expected one of: ${Object.keys(MOTION_PRESETS).join(', ')}`);
+    }
+  } else if (!options.from && !options.to) {
+    throw new Error('Motion needs a "preset" or "from"/"to" framings');
+  }
+
+  const base = { zoom: 1, ...CENTER };
+  const from = normalizeFraming(options.from, preset ? preset.from : base, 'from');
+  const to = normalizeFraming(options.to, preset ? preset.to : from, 'to');
+
+  const easing = options.easing || DEFAULT_EASING;
+  if (!EASINGS[easing]) {
+    throw new Error(`Invalid easing: ${easing}. Expected one of: ${Object.keys(EASINGS).join(', ')}`);
+  }
+  return { from, to, easing };
+}
+
+// zoompan filter playing `motion` over `frames` frames of a picture that was
+// scaled to width x height, or a multiple of it (see MOTION_OVERSAMPLE). With `reverse` the frames
+// will be played backwards afterwards, so the motion runs from the end.
+export function motionFilter(motion, { width, height, fps, frames, reverse = false }) {
+  const { from, to } = motion;
+  const progress = `min(on/${Math.max(frames - 1, 1)},1)`;
+  const eased = `(${EASINGS[motion.easing].replace(/P/g, reverse ? `(1-${progress})` : progress)})`;
+  const between = (start, end) => {
+    if (start === end) return String(start);
+    const change = Number((end - start).toFixed(6));
+    return `(${start}${change < 0 ? '-' : '+'}${Math.abs(change)}*${eased})`;
+  };
+
+  const zoom = between(from.zoom, to.zoom);
+  // Window centred on the focal point, kept inside the picture
+  const x = `max(0,min(iw-iw/zoom,${between(from.x, to.x)}*iw-iw/zoom/2))`;
+  const y = `max(0,min(ih-ih/zoom,${between(from.y, to.y)}*ih-ih/zoom/2))`;
+  // The back easing overshoots: clamp the zoom to what the picture can show
+  return `zoompan=z='max(1,${zoom})':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${fps}`;
+}
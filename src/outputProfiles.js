@@ -0,0 +1,323 @@
+// Output encoding settings: named profiles, codec/container compatibility and
+// the FFmpeg output options they translate to.
+
+// Public codec names mapped to FFmpeg encoders
+const VIDEO_ENCODERS = {
+  h264: 'libx264',
+  hevc: 'libx265',
+  vp9: 'libvpx-vp9',
+  vp8: 'libvpx',
+  prores: 'prores_ks',
+  gif: 'gif'
+};
+
+const AUDIO_ENCODERS = {
+  aac: 'aac',
+  mp3: 'libmp3lame',
+  opus: 'libopus',
+  vorbis: 'libvorbis',
+  flac: 'flac',
+  pcm_s16le: 'pcm_s16le'
+};
+
+// Codecs each container can hold. An empty list means the container has no such stream.
+export const CONTAINERS = {
+  mp4: { video: ['h264', 'hevc'], audio: ['aac', 'mp3'] },
+  mov: { video: ['h264', 'hevc', 'prores'], audio: ['aac', 'pcm_s16le'] },
+  mkv: { video: ['h264', 'hevc', 'vp9', 'vp8'], audio: ['aac', 'mp3', 'opus', 'vorbis', 'flac', 'pcm_s16le'] },
+  webm: { video: ['vp9', 'vp8'], audio: ['opus', 'vorbis'] },
+  avi: { video: ['h264'], audio: ['aac', 'mp3'] },
+  gif: { video: ['gif'], audio: [] },
+  mp3: { video: [], audio: ['mp3'] },
+  wav: { video: [], audio: ['pcm_s16le'] }
+};
+
+// Named output profiles. `web-h264` matches the encoding FFmux always used.
+export const OUTPUT_PROFILES = {
+  'web-h264': {
+    container: 'mp4',
+    videoCodec: 'h264',
+    audioCodec: 'aac',
+    fps: 30,
+    crf: 23,
+    preset: 'veryfast',
+    pixelFormat: 'yuv420p',
+    videoProfile: 'main',
+    level: '4.0',
+    maxrate: '4M',
+    bufsize: '8M',
+    audioBitrate: '192k'
+  },
+  'webm-vp9': {
+    container: 'webm',
+    videoCodec: 'vp9',
+    audioCodec: 'opus',
+    fps: 30,
+    crf: 32,
+    preset: 'good',
+    pixelFormat: 'yuv420p',
+    audioBitrate: '128k'
+  },
+  hevc: {
+    container: 'mp4',
+    videoCodec: 'hevc',
+    audioCodec: 'aac',
+    fps: 30,
+    crf: 28,
+    preset: 'medium',
+    pixelFormat: 'yuv420p',
+    audioBitrate: '192k'
+  },
+  'prores-proxy': {
+    container: 'mov',
+    videoCodec: 'prores',
+    audioCodec: 'pcm_s16le',
+    fps: 30,
+    videoProfile: 'proxy',
+    pixelFormat: 'yuv422p10le'
+  },
+  gif: {
+    container: 'gif',
+    videoCodec: 'gif',
+    audioCodec: null,
+    fps: 15
+  },
+  mp3: {
+    container: 'mp3',
+    videoCodec: null,
+    audioCodec: 'mp3',
+    audioBitrate: '192k'
+  },
+  wav: {
+    container: 'wav',
+    videoCodec: null,
+    audioCodec: 'pcm_s16le'
+  }
+};
+
+// Profile used when a request only names a container via `extension`
+const DEFAULT_PROFILES = {
+  mp4: 'web-h264',
+  mov: 'web-h264',
+  mkv: 'web-h264',
+  avi: 'web-h264',
+  webm: 'webm-vp9',
+  gif: 'gif',
+  mp3: 'mp3',
+  wav: 'wav'
+};
+
+// Pixel format used when the codec was changed away from the profile's
+const DEFAULT_PIXEL_FORMATS = {
+  h264: 'yuv420p',
+  hevc: 'yuv420p',
+  vp9: 'yuv420p',
+  vp8: 'yuv420p',
+  prores: 'yuv422p10le'
+};
+
+const X26X_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const VPX_DEADLINES = ['realtime', 'good', 'best'];
+const PRORES_PROFILES = { proxy: 0, lt: 1, standard: 2, hq: 3, '4444': 4, '4444xq': 5 };
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+// Resolve the `output` block of a render request (a profile name or an object
+// overriding a profile) into complete encoding settings. Throws on anything
+// that can't produce a valid file, so requests can be rejected before queueing.
+export function resolveOutputSettings({ output, extension = 'mp4', quality } = {}) {
+  if (output !== undefined && output !== null && typeof output !== 'string' &&
+      (typeof output !== 'object' || Array.isArray(output))) {
+    fail('Output must be a profile name or an object');
+  }
+  const overrides = typeof output === 'string' ? { profile: output } : { ...(output || {}) };
+
+  const container = String(overrides.container || (overrides.profile && OUTPUT_PROFILES[overrides.profile]
+    ? OUTPUT_PROFILES[overrides.profile].container
+    : extension)).toLowerCase();
+  if (!CONTAINERS[container]) {
+    fail(`Unsupported container: ${container}. Supported: ${Object.keys(CONTAINERS).join(', ')}`);
+  }
+
+  const profileName = overrides.profile || DEFAULT_PROFILES[container];
+  const profile = OUTPUT_PROFILES[profileName];
+  if (!profile) {
+    fail(`Unknown output profile: ${profileName}. Available: ${Object.keys(OUTPUT_PROFILES).join(', ')}`);
+  }
+
+  const settings = {
+    ...profile,
+    ...overrides,
+    profile: profileName,
+    container
+  };
+  // Legacy top-level `quality` still sets the CRF unless the output block does
+  if (overrides.crf === undefined && quality !== undefined) {
+    settings.crf = quality;
+  }
+  // Switching codec away from the profile's drops the codec-specific extras
+  if (overrides.videoCodec && overrides.videoCodec !== profile.videoCodec) {
+    delete settings.videoProfile;
+    delete settings.level;
+    delete settings.maxrate;
+    delete settings.bufsize;
+    if (overrides.preset === undefined) delete settings.preset;
+    if (overrides.pixelFormat === undefined) delete settings.pixelFormat;
+    if (overrides.crf === undefined && quality === undefined) delete settings.crf;
+  }
+  if (overrides.audioCodec === 'none') {
+    settings.audioCodec = null;
+  }
+
+  const { video: videoCodecs, audio: audioCodecs } = CONTAINERS[container];
+
+  // Video codec
+  if (videoCodecs.length === 0) {
+    settings.videoCodec = null;
+  } else {
+    if (!settings.videoCodec) {
+      settings.videoCodec = videoCodecs[0];
+    }
+    if (!VIDEO_ENCODERS[settings.videoCodec]) {
+      fail(`Unknown video codec: ${settings.videoCodec}`);
+    }
+    if (!videoCodecs.includes(settings.videoCodec)) {
+      fail(`Video codec ${settings.videoCodec} can't be stored in ${container}. Use one of: ${videoCodecs.join(', ')}`);
+    }
+  }
+
+  // Audio codec
+  if (audioCodecs.length === 0) {
+    if (overrides.audioCodec && overrides.audioCodec !== 'none') {
+      fail(`${container} can't hold audio`);
+    }
+    settings.audioCodec = null;
+  } else if (settings.audioCodec !== null) {
+    if (!settings.audioCodec) {
+      settings.audioCodec = audioCodecs[0];
+    }
+    if (!AUDIO_ENCODERS[settings.audioCodec]) {
+      fail(`Unknown audio codec: ${settings.audioCodec}`);
+    }
+    if (!audioCodecs.includes(settings.audioCodec)) {
+      fail(`Audio codec ${settings.audioCodec} can't be stored in ${container}. Use one of: ${audioCodecs.join(', ')}`);
+    }
+  }
+
+  if (!settings.videoCodec && !settings.audioCodec) {
+    fail('Output must contain at least one audio or video stream');
+  }
+
+  // Numeric and format checks
+  if (settings.videoCodec) {
+    settings.fps = Number(settings.fps || 30);
+    if (!(settings.fps > 0 && settings.fps <= 120)) {
+      fail('Output fps must be between 1 and 120');
+    }
+  }
+
+  if (settings.crf !== undefined) {
+    const crf = Number(settings.crf);
+    const maxCrf = settings.videoCodec === 'vp9' || settings.videoCodec === 'vp8' ? 63 : 51;
+    if (!Number.isInteger(crf) || crf < 0 || crf > maxCrf) {
+      fail(`Output crf must be an integer between 0 and ${maxCrf}`);
+    }
+    settings.crf = crf;
+  }
+
+  for (const field of ['bitrate', 'audioBitrate', 'maxrate', 'bufsize']) {
+    if (settings[field] !== undefined && !BITRATE_PATTERN.test(String(settings[field]))) {
+      fail(`Output ${field} must look like "4M" or "192k"`);
+    }
+  }
+
+  if (settings.pixelFormat === undefined && DEFAULT_PIXEL_FORMATS[settings.videoCodec]) {
+    settings.pixelFormat = DEFAULT_PIXEL_FORMATS[settings.videoCodec];
+  }
+  if (settings.pixelFormat !== undefined && !/^[a-z0-9_]+$/.test(settings.pixelFormat)) {
+    fail(`Invalid pixel format: ${settings.pixelFormat}`);
+  }
+
+  if (settings.preset !== undefined) {
+    const presets = settings.videoCodec === 'vp9' || settings.videoCodec === 'vp8'
+      ? VPX_DEADLINES
+      : X26X_PRESETS;
+    if (!['h264', 'hevc', 'vp9', 'vp8'].includes(settings.videoCodec) || !presets.includes(settings.preset)) {
+      fail(`Invalid preset ${settings.preset} for ${settings.videoCodec || 'audio-only output'}`);
+    }
+  }
+
+  if (settings.videoCodec === 'prores') {
+    settings.videoProfile = settings.videoProfile || 'standard';
+    if (PRORES_PROFILES[settings.videoProfile] === undefined) {
+      fail(`Invalid ProRes profile: ${settings.videoProfile}`);
+    }
+  }
+
+  return settings;
+}
+
+// FFmpeg output options for resolved settings. Stream mapping is left to the caller.
+export function buildOutputOptions(settings) {
+  const options = [];
+  const { videoCodec, audioCodec } = settings;
+
+  if (videoCodec) {
+    options.push('-vcodec', VIDEO_ENCODERS[videoCodec]);
+
+    if (videoCodec === 'h264' || videoCodec === 'hevc') {
+      if (settings.bitrate) {
+        options.push('-b:v', settings.bitrate);
+      } else {
+        options.push('-crf', String(settings.crf !== undefined ? settings.crf : 23));
+      }
+      if (settings.preset) options.push('-preset', settings.preset);
+    } else if (videoCodec === 'vp9' || videoCodec === 'vp8') {
+      // Constant quality mode needs -b:v 0
+      if (settings.bitrate) {
+        options.push('-b:v', settings.bitrate);
+      } else {
+        options.push('-crf', String(settings.crf !== undefined ? settings.crf : 32), '-b:v', '0');
+      }
+      options.push('-deadline', settings.preset || 'good', '-row-mt', '1');
+    } else if (videoCodec === 'prores') {
+      options.push('-profile:v', String(PRORES_PROFILES[settings.videoProfile]), '-vendor', 'apl0');
+    }
+
+    if (videoCodec !== 'gif') {
+      options.push('-r', String(settings.fps));
+      if (settings.pixelFormat) options.push('-pix_fmt', settings.pixelFormat);
+    }
+
+    if (videoCodec === 'h264' && settings.videoProfile) options.push('-profile:v', settings.videoProfile);
+    if (videoCodec === 'h264' && settings.level) options.push('-level', settings.level);
+    if (settings.maxrate) options.push('-maxrate', settings.maxrate);
+    if (settings.bufsize) options.push('-bufsize', settings.bufsize);
+
+    // Apple players only recognise HEVC in MP4/MOV with the hvc1 tag
+    if (videoCodec === 'hevc' && (settings.container === 'mp4' || settings.container === 'mov')) {
+      options.push('-tag:v', 'hvc1');
+    }
+    if (videoCodec === 'gif') options.push('-loop', '0');
+    if (settings.container === 'mp4' || settings.container === 'mov') options.push('-movflags', '+faststart');
+
+    options.push('-vsync', 'cfr');
+  } else {
+    options.push('-vn');
+  }
+
+  if (audioCodec) {
+    options.push('-acodec', AUDIO_ENCODERS[audioCodec]);
+    if (settings.audioBitrate && audioCodec !== 'pcm_s16le' && audioCodec !== 'flac') {
+      options.push('-b:a', settings.audioBitrate);
+    }
+  } else {
+    options.push('-an');
+  }
+
+  return options;
+}
@@ -0,0 +1,147 @@
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+import { lutFilenames } from "./segmentFilters.js";
+
+// Saved projects: a named render request with an append-only version history.
+// Every render of a version is recorded with the output file it produced, so
+// old videos can be traced back to – and re-rendered from – the exact request.
+
+// Project without the version payloads, for listings
+const summarize = (project) => {
+  const latest = project.versions[project.versions.length - 1];
+  return {
+    id: project.id,
+    name: project.name,
+    latestVersion: latest.version,
+    versions: project.versions.length,
+    renders: project.versions.reduce((total, version) => total + version.renders.length, 0),
+    created: new Date(project.createdAt),
+    updated: new Date(project.updatedAt)
+  };
+};
+
+// Persistent project store (JSON file written atomically)
+export function createProjectStore({ storePath }) {
+  let projects = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      projects = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error('Failed to read projects, starting empty:', error);
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, projects, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  const newVersion = (project, request, note) => {
+    const version = {
+      version: project.versions.length + 1,
+      request,
+      note: note || null,
+      createdAt: Date.now(),
+      renders: []
+    };
+    project.versions.push(version);
+    project.updatedAt = version.createdAt;
+    return version;
+  };
+
+  return {
+    // Projects of one API key namespace (null without auth)
+    list(owner = null) {
+      return Object.values(projects)
+        .filter(project => (project.owner || null) === owner)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(summarize);
+    },
+
+    get(id) {
+      return projects[id] || null;
+    },
+
+    // Version by number, or the latest one when `version` is omitted
+    getVersion(id, version) {
+      const project = projects[id];
+      if (!project) return null;
+      if (version === undefined) return project.versions[project.versions.length - 1];
+      return project.versions.find(entry => entry.version === version) || null;
+    },
+
+    create({ name, request, note, owner = null }) {
+      const now = Date.now();
+      const project = { id: uuidv4(), name, owner, createdAt: now, updatedAt: now, versions: [] };
+      newVersion(project, request, note);
+      projects[project.id] = project;
+      persist();
+      return project;
+    },
+
+    // Save an edited request as the next version
+    addVersion(id, { request, note }) {
+      const version = newVersion(projects[id], request, note);
+      persist();
+      return version;
+    },
+
+    rename(id, name) {
+      projects[id].name = name;
+      projects[id].updatedAt = Date.now();
+      persist();
+      return projects[id];
+    },
+
+    remove(id) {
+      delete projects[id];
+      persist();
+    },
+
+    // Remember that a job renders `version` of a project
+    recordRender(id, version, jobId) {
+      const entry = this.getVersion(id, version);
+      entry.renders.push({ jobId, output: null, createdAt: Date.now(), finishedAt: null });
+      persist();
+    },
+
+    // Store the output file of a finished render. Ignores projects deleted meanwhile.
+    recordOutput(id, version, jobId, output) {
+      const entry = this.getVersion(id, version);
+      const render = entry && entry.renders.find(candidate => candidate.jobId === jobId);
+      if (!render) return;
+      render.output = output;
+      render.finishedAt = Date.now();
+      persist();
+    },
+
+    // Names of the uploads any version of a namespace's projects renders from
+    referencedUploads(owner = null) {
+      const filenames = new Set();
+      for (const project of Object.values(projects)) {
+        if ((project.owner || null) !== owner) continue;
+        for (const entry of project.versions) {
+          for (const item of entry.request.timeline || []) {
+            if (item && typeof item.filename === "string") filenames.add(item.filename);
+            lutFilenames(item && item.filters).forEach(filename => filenames.add(filename));
+          }
+        }
+      }
+      return filenames;
+    },
+
+    // { projectId, name, version } that produced an output file of a namespace, or null
+    findOutput(output, owner = null) {
+      for (const project of Object.values(projects)) {
+        if ((project.owner || null) !== owner) continue;
+        for (const entry of project.versions) {
+          if (entry.renders.some(render => render.output === output)) {
+            return { projectId: project.id, name: project.name, version: entry.version };
+          }
+        }
+      }
+      return null;
+    }
+  };
+}
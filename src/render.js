@@ -2,8 +2,34 @@ import ffmpeg from "fluent-ffmpeg";
 import ffmpegStatic from "ffmpeg-static";
 import ffprobeStatic from "ffprobe-static";
 import path from "path";
+import os from "os";
+import fs from "fs-extra";
 import { v4 as uuidv4 } from "uuid";
-import { TEXT_STYLES, generateDrawTextFilter, escapeText, parseSRT } from "./textStyles.js";
+import {
+  FONT_DIR,
+  FALLBACK_FONTS,
+  resolveTextStyle,
+  generateDrawTextFilter,
+  generateTextBlockFilters,
+  escapeText
+} from "./textStyles.js";
+import { needsTextLayout, layoutText } from "./textLayout.js";
+import { resolveLoudness, resolveDuckOptions } from "./audioOptions.js";
+import { normalizeTextAnimation, typewriterSteps } from "./textAnimations.js";
+import { buildAssDocument } from "./captions.js";
+import { resolveOutputSettings, buildOutputOptions } from "./outputProfiles.js";
+import { resolveVideoTiming, isRetimed, videoTimingFilters, audioTimingGraph } from "./segmentTiming.js";
+import { segmentFilterChains } from "./segmentFilters.js";
+import { normalizeMotion, motionFilter, MOTION_OVERSAMPLE } from "./motion.js";
+import {
+  DEFAULT_SEQUENCE_FRAME_RATE,
+  stickerKind,
+  hasWebpAnimationFlag,
+  isSequencePattern,
+  sequenceFrames,
+  stickerInputOptions,
+  alphaDecoderFor
+} from "./stickers.js";
 
 if (process.env.FFMPEG_PATH) {
   ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
@@ -18,7 +44,7 @@ if (process.env.FFPROBE_PATH) {
 }
 
 // Scaling mode mappings (similar to CSS object-fit)
-const SCALING_MODES = {
+export const SCALING_MODES = {
   // Fill: Stretches to fill the frame completely
   fill: 'scale={width}:{height}',
   
@@ -32,7 +58,157 @@ const SCALING_MODES = {
   'scale-down': 'scale=\'if(gte(iw/ih,{width}/{height}),min(iw,{width}),-1)\':\'if(gte(iw/ih,{width}/{height}),-1,min(ih,{height}))\',pad={width}:{height}:(({width}-iw)/2):(({height}-ih)/2)',
   
   // None: Keeps original size if smaller than target, scales down if larger
-  none: 'scale=\'if(gt(iw,{width}),{width},-1)\':\'if(gt(ih,{height}),{height},-1)\',pad={width}:{height}:(({width}-iw)/2):(({height}-ih)/2)'
+  none: 'scale=\'if(gt(iw,{width}),{width},-1)\':\'if(gt(ih,{height}),{height},-1)\',pad={width}:{height}:(({width}-iw)/2):(({height}-ih)/2)',
+
+  // Blur-fill: contained picture over a blurred, cover-scaled copy of itself (vertical video in landscape and vice versa)
+  'blur-fill': 'split[{label}bg][{label}fg];' +
+    '[{label}bg]scale=\'if(gte(iw/ih,{width}/{height}),{height}*(iw/ih),{width})\':\'if(gte(iw/ih,{width}/{height}),{height},{width}/(iw/ih))\',crop={width}:{height},gblur=sigma=30[{label}bgs];' +
+    '[{label}fg]scale=\'if(gte(iw/ih,{width}/{height}),{width},-2)\':\'if(gte(iw/ih,{width}/{height}),-2,{height})\'[{label}fgs];' +
+    '[{label}bgs][{label}fgs]overlay=(W-w)/2:(H-h)/2'
+};
+
+// Transitions supported by the xfade filter
+export const TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'fadegrays', 'dissolve', 'distance', 'pixelize', 'radial',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown', 'wipetl', 'wipetr', 'wipebl', 'wipebr',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circleopen', 'circleclose', 'circlecrop', 'rectcrop',
+  'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice',
+  'hblur', 'squeezeh', 'squeezev'
+];
+
+const DEFAULT_TRANSITION_DURATION = 1;
+
+// Sample rate used where audio filters need a fixed one (aloop, after loudnorm)
+const AUDIO_SAMPLE_RATE = 48000;
+// Peak level of the mixed soundtrack, just under full scale
+const MIX_PEAK_LIMIT = 0.97;
+
+// Shadow offset in pixels when a text shadow colour is set without an offset
+const DEFAULT_SHADOW_OFFSET = 4;
+
+// Overlay layers with these extensions are looped stills, everything else is treated as video
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.webp', '.tif', '.tiff'];
+
+// Normalize an item's `transition` ("fade" or { type, duration }) into { type, duration }
+export const parseTransition = (item) => {
+  if (!item.transition) return null;
+
+  const transition = typeof item.transition === 'string'
+    ? { type: item.transition }
+    : item.transition;
+  const type = transition.type || 'fade';
+  const duration = transition.duration !== undefined ? Number(transition.duration) : DEFAULT_TRANSITION_DURATION;
+
+  if (!TRANSITIONS.includes(type)) {
+    throw new Error(`Invalid transition type: ${type}`);
+  }
+  if (!(duration > 0)) {
+    throw new Error(`Invalid transition duration for ${item.filename}: must be positive`);
+  }
+
+  return { type, duration };
+};
+
+// Predefined positions for overlay layers (W/H = frame size, w/h = layer size)
+export const OVERLAY_POSITIONS = {
+  'top-left': { x: '50', y: '50' },
+  'top-center': { x: '(W-w)/2', y: '50' },
+  'top-right': { x: 'W-w-50', y: '50' },
+  'middle-left': { x: '50', y: '(H-h)/2' },
+  'middle-center': { x: '(W-w)/2', y: '(H-h)/2' },
+  'middle-right': { x: 'W-w-50', y: '(H-h)/2' },
+  'bottom-left': { x: '50', y: 'H-h-50' },
+  'bottom-center': { x: '(W-w)/2', y: 'H-h-50' },
+  'bottom-right': { x: 'W-w-50', y: 'H-h-50' }
+};
+
+// Allowed characters in custom layer x/y expressions (no quotes or filtergraph separators)
+const LAYER_EXPRESSION_PATTERN = /^[\w\s.+\-*/()%,<>=!]+$/;
+
+// x/y expressions of a layer from its `position` preset or custom `x`/`y`
+const layerPosition = (item) => {
+  const positionConfig = typeof item.position === 'string' && OVERLAY_POSITIONS[item.position]
+    ? OVERLAY_POSITIONS[item.position]
+    : OVERLAY_POSITIONS['top-left'];
+  const x = item.x !== undefined ? String(item.x) : positionConfig.x;
+  const y = item.y !== undefined ? String(item.y) : positionConfig.y;
+  if (![x, y].every(expr => LAYER_EXPRESSION_PATTERN.test(expr))) {
+    throw new Error(`Invalid ${item.type} position for ${item.filename}`);
+  }
+  return { x, y };
+};
+
+// Parse a layer dimension given in pixels (320) or percent of the frame ("25%")
+const parseDimension = (value, frameSize) => {
+  if (value === undefined || value === null) return null;
+  const match = String(value).match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) {
+    throw new Error(`Invalid dimension: ${value}`);
+  }
+  const size = match[2] ? frameSize * Number(match[1]) / 100 : Number(match[1]);
+  // Even sizes keep chroma-subsampled formats happy
+  return Math.max(2, Math.round(size / 2) * 2);
+};
+
+// Probe a media file's duration in seconds, falling back to 5s if probing fails
+const getMediaDuration = (filePath) => {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        console.warn('Error probing file for duration:', err);
+        resolve(5);
+        return;
+      }
+      resolve(metadata.format.duration || 5);
+    });
+  });
+};
+
+// Escape a file path for use as a quoted filter option value
+const escapeFilterPath = (filePath) => filePath
+  .replace(/\\/g, '/')
+  .replace(/'/g, "'\\\\''")
+  .replace(/:/g, '\\:');
+
+// Probe a media file, rejecting if ffprobe can't read it
+export const probeMedia = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(metadata);
+    });
+  });
+};
+
+// Probe a sticker file: { kind, stream } with its video stream (see stickerKind).
+// Throws on an animated WebP this FFmpeg build can't decode, rather than
+// rendering its first frame as a still.
+export const probeSticker = async (filename, filePath) => {
+  if (isSequencePattern(filename)) {
+    return { kind: 'sequence', stream: null };
+  }
+  const metadata = await probeMedia(filePath);
+  const stream = metadata.streams.find(candidate => candidate.codec_type === 'video');
+  let animated = false;
+  if (stream && stream.codec_name === 'webp' && await hasWebpAnimationFlag(filePath)) {
+    const counted = await new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, ['-count_frames', '-select_streams', 'v:0'], (err, result) => {
+        resolve(err ? null : result.streams[0]);
+      });
+    });
+    if (!(counted && Number(counted.nb_read_frames) > 1)) {
+      throw new Error(`Sticker ${filename} is an animated WebP, which this FFmpeg build can't decode`);
+    }
+    animated = true;
+  }
+  return { kind: stickerKind(filename, stream, { animated }), stream };
 };
 
 // Helper function to check if file has audio stream
@@ -52,14 +228,19 @@ const hasAudioStream = (filePath) => {
   });
 };
 
-export default async function renderJob({ instructions, fileMap, outputDir }) {
+// Build and run the FFmpeg command for a render job. With `dryRun` the command
+// is only built: the filter graph, output options and timing are returned instead.
+export default async function renderJob({ instructions, fileMap, outputDir, dryRun = false }) {
   const {
     resolution = "1280x720",
-    quality = "23",
+    quality,
     extension = "mp4",
+    output,
     timeline = [],
     scaling = "cover", // Default scaling mode
-    subtitles = null  // New parameter for SRT content
+    subtitles = null,  // SRT/WebVTT/ASS content or word timings, rendered with libass
+    loudness,          // EBU R128 target for the final mix, e.g. -14 (LUFS)
+    textStyles = {}    // User style presets referenced by the job, snapshotted at enqueue time
   } = instructions;
 
   if (!timeline.length) {
@@ -72,27 +253,59 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
     throw new Error("Invalid resolution format. Expected 'widthxheight' (e.g. '1280x720')");
   }
 
-  // Parse SRT if provided and add to timeline
-  let fullTimeline = [...timeline];
-  if (subtitles) {
-    const subtitleItems = parseSRT(subtitles);
-    fullTimeline = [...timeline, ...subtitleItems];
-  }
+  // Resolve output codecs/container (throws on incompatible combinations)
+  const outputSettings = resolveOutputSettings({ output, extension, quality });
+  const loudnessTarget = resolveLoudness(loudness);
+
+  const fullTimeline = [...timeline];
 
-  // Get scaling filter based on mode
-  const getScalingFilter = (mode = scaling) => {
+  // Convert subtitles to an ASS document for the libass `ass` filter (throws on invalid input)
+  const captionsDocument = subtitles ? buildAssDocument(subtitles, { width, height, styles: textStyles }) : null;
+  let captionsPath = null;
+
+  // Get scaling filter based on mode. `label` keeps the pads of modes that
+  // build a small graph (blur-fill) unique per segment; `factor` scales to a
+  // multiple of the output size.
+  const getScalingFilter = (mode = scaling, label = 'scale', factor = 1) => {
     const filter = SCALING_MODES[mode] || SCALING_MODES.cover;
     return filter
-      .replace(/{width}/g, width.toString())
-      .replace(/{height}/g, height.toString());
+      .replace(/{width}/g, (width * factor).toString())
+      .replace(/{height}/g, (height * factor).toString())
+      .replace(/{label}/g, label);
+  };
+
+  // Scaling wrapped in the item's own filters: geometry before, look after.
+  // A `motion` pans/zooms over the scaled picture for `frames` frames; only
+  // images are oversampled for it.
+  const getPictureFilter = (item, label, { frames, reverse = false } = {}) => {
+    const chains = segmentFilterChains(item.filters, { lutPath: (filename) => escapeFilterPath(fileMap[filename]) });
+    const motion = normalizeMotion(item.motion);
+    const oversample = item.type === 'image' ? MOTION_OVERSAMPLE : 1;
+    const scale = motion
+      ? `${getScalingFilter(item.scaling || scaling, label, oversample)},${motionFilter(motion, { width, height, fps: segmentFps, frames, reverse })}`
+      : getScalingFilter(item.scaling || scaling, label);
+    return [...chains.before, scale, ...chains.after].join(',');
   };
 
-  const outputPath = path.join(outputDir, `${uuidv4()}.${extension}`);
+  const outputPath = path.join(outputDir, `${uuidv4()}.${outputSettings.container}`);
   const command = ffmpeg({ stdoutLines: 0 });
 
+  // Transitions overlap the end of a segment with the start of the next one
+  const getTransitionOverlap = (previousSegment, segmentDuration) => {
+    if (!previousSegment) return 0;
+    const transition = parseTransition(previousSegment.item);
+    if (!transition) return 0;
+
+    if (transition.duration >= previousSegment.duration || transition.duration >= segmentDuration) {
+      throw new Error(`Transition after ${previousSegment.item.filename} is longer than the segments it joins`);
+    }
+    return transition.duration;
+  };
+
   // Calculate total duration for progress tracking and store absolute timeline start per item
   let totalDuration = 0;
   let timelineCursor = 0; // absolute time in seconds
+  let previousSegment = null; // last video/image segment, for transitions
   for (const item of fullTimeline) {
     if (item.type === "video") {
       const filePath = fileMap[item.filename];
@@ -100,40 +313,34 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
         throw new Error(`File not found for ${item.filename}`);
       }
 
-      // Get video duration
-      const duration = await new Promise((resolve) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-          if (err) {
-            console.warn('Error probing file for duration:', err);
-            resolve(5); // default duration
-            return;
-          }
-          
-          resolve(metadata.format.duration || 5);
-        });
-      });
-
-      const startTime = item.cut ? item.cut[0] : 0;
-      const endTime = item.cut ? item.cut[1] : duration;
-      const segmentDuration = endTime - startTime;
+      // Segment length on the timeline after speed and freeze frames
+      const timing = resolveVideoTiming(item, await getMediaDuration(filePath));
+      const segmentDuration = timing.duration;
 
       console.log(`Video ${item.filename} duration info:`, {
-        originalDuration: duration,
-        startTime,
-        endTime,
+        startTime: timing.start,
+        sourceDuration: timing.sourceDuration,
+        speed: timing.speed,
+        reverse: timing.reverse,
+        freeze: timing.freeze,
         segmentDuration
       });
 
       // After segmentDuration computed, before adding to totalDuration, set timelineStart
-      item.timelineStart = timelineCursor;
-      totalDuration += segmentDuration;
-      timelineCursor += segmentDuration;
+      const overlap = getTransitionOverlap(previousSegment, segmentDuration);
+      item.timelineStart = timelineCursor - overlap;
+      timelineCursor += segmentDuration - overlap;
+      totalDuration = Math.max(totalDuration, timelineCursor);
+      previousSegment = { item, duration: segmentDuration };
+      item.timing = timing;
     }
     else if (item.type === "image") {
       const segmentDuration = item.duration || 5;
-      item.timelineStart = timelineCursor;
-      totalDuration += segmentDuration;
-      timelineCursor += segmentDuration;
+      const overlap = getTransitionOverlap(previousSegment, segmentDuration);
+      item.timelineStart = timelineCursor - overlap;
+      timelineCursor += segmentDuration - overlap;
+      totalDuration = Math.max(totalDuration, timelineCursor);
+      previousSegment = { item, duration: segmentDuration };
     }
     else if (item.type === "audio") {
       const filePath = fileMap[item.filename];
@@ -165,21 +372,77 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
       const overlayStart = item.startTime !== undefined ? item.startTime : timelineCursor;
       item.timelineStart = overlayStart;
 
-      // Determine when this audio ends
-      const overlayEnd = overlayStart + segmentDuration;
-      // Update totalDuration to cover this overlay if it ends after current total
-      totalDuration = Math.max(totalDuration, overlayEnd);
+      // Looped music without a duration fills whatever the rest of the timeline is
+      if (!item.loop || item.duration) {
+        // Determine when this audio ends
+        const overlayEnd = overlayStart + segmentDuration;
+        // Update totalDuration to cover this overlay if it ends after current total
+        totalDuration = Math.max(totalDuration, overlayEnd);
+      }
+    }
+    else if (item.type === "overlay") {
+      const filePath = fileMap[item.filename];
+      if (!filePath) {
+        throw new Error(`File not found for ${item.filename}`);
+      }
+
+      // Layers sit on top of the base track at an absolute time and never move the cursor
+      const isImage = IMAGE_EXTENSIONS.includes(path.extname(item.filename).toLowerCase());
+      let layerDuration = item.duration;
+      if (!layerDuration) {
+        if (isImage) {
+          layerDuration = 5;
+        } else {
+          const startTime = item.cut ? item.cut[0] : 0;
+          const endTime = item.cut ? item.cut[1] : await getMediaDuration(filePath);
+          layerDuration = endTime - startTime;
+        }
+      }
+
+      if (!(layerDuration > 0)) {
+        throw new Error(`Invalid duration for overlay ${item.filename}: duration must be positive`);
+      }
+      item.timelineStart = item.startTime || 0;
+      item.layerDuration = layerDuration;
+    }
+    else if (item.type === "sticker") {
+      // Stickers sit on top of everything at an absolute time and never move the cursor.
+      // Their length depends on the finished timeline, so only the clip length is known here.
+      if (isSequencePattern(item.filename)) {
+        const { frames } = sequenceFrames(item.filename, Object.keys(fileMap));
+        item.stickerKind = 'sequence';
+        item.clipDuration = frames.length / (item.frameRate || DEFAULT_SEQUENCE_FRAME_RATE);
+      } else {
+        const filePath = fileMap[item.filename];
+        if (!filePath) {
+          throw new Error(`File not found for ${item.filename}`);
+        }
+        const { kind, stream } = await probeSticker(item.filename, filePath);
+        item.stickerKind = kind;
+        item.alphaDecoder = kind === 'video' ? alphaDecoderFor(stream) : null;
+        item.clipDuration = kind === 'still' ? null : await getMediaDuration(filePath);
+      }
+      item.timelineStart = item.startTime || 0;
     }
   }
 
   console.log('Starting FFmpeg render with totalDuration:', totalDuration);
   console.log('Timeline:', JSON.stringify(fullTimeline, null, 2));
 
+  // Every segment is conformed to the output frame rate, so 24/25/60 fps sources
+  // concatenate cleanly. Transitions also need the same pixel format and timebase.
+  const segmentFps = outputSettings.fps || 30;
+  const usesTransitions = fullTimeline.some(item =>
+    (item.type === "video" || item.type === "image") && item.transition
+  );
+  const transitionFormat = usesTransitions ? ',format=yuv420p,settb=AVTB' : '';
+
   // Add inputs and prepare filter complex
   const filterComplex = [];
-  const videoLabels = [];
-  const audioLabels = []; // sequential audio from video/image segments
+  const segments = []; // sequential video/image segments: { item, duration, video, audio }
   const overlayAudioLabels = []; // background/overlay audio tracks
+  const duckedAudio = []; // overlay audio tracks compressed under the segment audio: { label, options }
+  const layers = []; // picture-in-picture layers composited over the base track
   let inputIndex = 0;
   let hasAudio = false;
 
@@ -187,7 +450,6 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
   for (const item of fullTimeline) {
     // Get item-specific scaling mode or use default
     const itemScaling = item.scaling || scaling;
-    const scalingFilter = getScalingFilter(itemScaling);
     
     if (item.type === "video") {
       const filePath = fileMap[item.filename];
@@ -195,35 +457,21 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
         throw new Error(`File not found for ${item.filename}`);
       }
 
-      console.log(`Processing ${item.filename} with scaling mode: ${itemScaling}`);
-      console.log(`Scaling filter: ${scalingFilter}`);
-
-      // Get video duration using ffprobe
-      const duration = await new Promise((resolve) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-          if (err) {
-            console.warn('Error probing file for duration:', err);
-            resolve(5); // default duration
-            return;
-          }
-          
-          resolve(metadata.format.duration || 5);
-        });
+      const timing = item.timing;
+      const pictureFilter = getPictureFilter(item, `s${inputIndex}`, {
+        frames: Math.round(timing.sourceDuration / timing.speed * segmentFps),
+        reverse: timing.reverse
       });
+      console.log(`Processing ${item.filename} with scaling mode: ${itemScaling}`);
+      console.log(`Picture filter: ${pictureFilter}`);
 
-      // Calculate cut points
-      const startTime = item.cut ? item.cut[0] : 0;
-      const endTime = item.cut ? item.cut[1] : duration;
-      const segmentDuration = endTime - startTime;
-
-      if (segmentDuration <= 0) {
-        throw new Error(`Invalid cut points for ${item.filename}: duration must be positive`);
-      }
+      // Cut, speed and freeze were resolved in the duration pass
+      const segmentDuration = timing.duration;
 
       console.log(`Adding video segment:`, {
         filename: item.filename,
-        startTime,
-        endTime,
+        startTime: timing.start,
+        sourceDuration: timing.sourceDuration,
         segmentDuration,
         scaling: itemScaling
       });
@@ -232,14 +480,14 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
       command.input(filePath)
         .inputOptions([
           '-accurate_seek',
-          '-ss', String(startTime),
-          '-t', String(segmentDuration)
+          '-ss', String(timing.start),
+          '-t', String(timing.sourceDuration)
         ]);
       
-      // Video processing with scaling
-      let filter = `[${inputIndex}:v]${scalingFilter},setsar=1[v${inputIndex}]`;
-      filterComplex.push(filter);
-      videoLabels.push(`[v${inputIndex}]`);
+      // Retime, conform the frame rate, then crop/scale/grade
+      const videoFilters = videoTimingFilters(timing, { fps: segmentFps, conform: item.conform, pictureFilter });
+      filterComplex.push(`[${inputIndex}:v]${videoFilters.join(',')}${transitionFormat}[v${inputIndex}]`);
+      const segment = { item, duration: segmentDuration, video: `[v${inputIndex}]`, audio: null };
 
       // Audio processing if volume is not 0
       const volume = item.volume !== undefined ? item.volume : 100;
@@ -250,10 +498,18 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
           hasAudio = true;
           const normalizedVolume = volume / 100;
           const label = `[a${inputIndex}]`;
-          filterComplex.push(`[${inputIndex}:a]volume=${normalizedVolume}${label}`);
-          audioLabels.push(label);
+          // Retime like the picture
+          let audioInput = `[${inputIndex}:a]`;
+          if (isRetimed(timing)) {
+            filterComplex.push(...audioTimingGraph(timing, { input: audioInput, output: `[at${inputIndex}]`, prefix: `at${inputIndex}` }));
+            audioInput = `[at${inputIndex}]`;
+          }
+          // Pad/trim to the exact segment length so later segments stay in sync
+          filterComplex.push(`${audioInput}volume=${normalizedVolume},apad,atrim=duration=${segmentDuration}${label}`);
+          segment.audio = label;
         }
       }
+      segments.push(segment);
       inputIndex++;
     }
     else if (item.type === "image") {
@@ -262,18 +518,19 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
         throw new Error(`File not found for ${item.filename}`);
       }
 
-      // Add image input
+      // Add image input at the output frame rate
       command.input(filePath)
         .inputOptions([
-          '-framerate', '30',
+          '-framerate', String(segmentFps),
           '-loop', '1',
           '-t', String(item.duration || 5)
         ]);
       
-      // Image processing with scaling
-      let filter = `[${inputIndex}:v]${scalingFilter},setsar=1[v${inputIndex}]`;
+      // Image processing with scaling and the item's filters
+      const pictureFilter = getPictureFilter(item, `s${inputIndex}`, { frames: Math.round((item.duration || 5) * segmentFps) });
+      let filter = `[${inputIndex}:v]fps=${segmentFps},${pictureFilter},setsar=1${transitionFormat}[v${inputIndex}]`;
       filterComplex.push(filter);
-      videoLabels.push(`[v${inputIndex}]`);
+      segments.push({ item, duration: item.duration || 5, video: `[v${inputIndex}]`, audio: null });
       inputIndex++;
     }
     else if (item.type === "audio") {
@@ -300,45 +557,245 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
       const endTime = item.cut ? item.cut[1] : audioMetaDuration;
       const segmentDuration = item.duration ? item.duration : endTime - startTime;
 
-      // Overlay audio does NOT shift the sequential cursor. If startTime explicit use it, otherwise align with current cursor.
-      const overlayStart = item.startTime !== undefined ? item.startTime : timelineCursor;
-      item.timelineStart = overlayStart;
+      // Calculate absolute start delay in ms
+      const delayMs = (item.startTime || 0) * 1000;
 
-      // Determine when this audio ends
-      const overlayEnd = overlayStart + segmentDuration;
-      // Update totalDuration to cover this overlay if it ends after current total
-      totalDuration = Math.max(totalDuration, overlayEnd);
+      // A looped item reads the clip once and repeats it for its whole play time
+      const clipDuration = item.loop ? endTime - startTime : segmentDuration;
+      const playDuration = item.loop
+        ? item.duration || Math.max(totalDuration - (item.startTime || 0), 0) || clipDuration
+        : segmentDuration;
 
       // Add audio input
       command.input(filePath)
         .inputOptions([
           '-accurate_seek',
           '-ss', String(startTime),
-          '-t', String(segmentDuration)
+          '-t', String(clipDuration)
         ]);
 
-      // Calculate absolute start delay in ms
-      const delayMs = (item.startTime || 0) * 1000;
-
       // Handle volume and adelay
       const volume = item.volume !== undefined ? item.volume : 100;
       const normalizedVolume = volume / 100;
 
+      const itemFilters = [];
+      if (item.loop) {
+        // aloop counts in samples, so fix the rate first
+        itemFilters.push(
+          `aresample=${AUDIO_SAMPLE_RATE}`,
+          `aloop=loop=-1:size=${Math.round(clipDuration * AUDIO_SAMPLE_RATE)}`,
+          `atrim=duration=${playDuration}`
+        );
+      }
+      // Fades are relative to the item's own start, so they go before the delay
+      if (item.fadeIn) {
+        itemFilters.push(`afade=t=in:st=0:d=${item.fadeIn}`);
+      }
+      if (item.fadeOut) {
+        itemFilters.push(`afade=t=out:st=${Math.max(playDuration - item.fadeOut, 0)}:d=${item.fadeOut}`);
+      }
+
+      if (delayMs > 0) {
+        itemFilters.push(`adelay=${delayMs}|${delayMs}`);
+      }
+
       const delayedLabel = `[oa${overlayAudioLabels.length}]`;
       const volumeFilter = volume !== 100 ? `,volume=${normalizedVolume}` : '';
-      const delayFilter = delayMs > 0 ? `adelay=${delayMs}|${delayMs}` : 'anull';
-      filterComplex.push(`[${inputIndex}:a]${delayFilter}${volumeFilter}${delayedLabel}`);
+      const itemFilter = itemFilters.length ? itemFilters.join(',') : 'anull';
+      filterComplex.push(`[${inputIndex}:a]${itemFilter}${volumeFilter}${delayedLabel}`);
 
       hasAudio = true;
       overlayAudioLabels.push(delayedLabel);
+      if (item.duck) {
+        duckedAudio.push({ label: delayedLabel, options: resolveDuckOptions(item.duck) });
+      }
+
+      inputIndex++;
+    }
+    else if (item.type === "overlay") {
+      const filePath = fileMap[item.filename];
+      const isImage = IMAGE_EXTENSIONS.includes(path.extname(item.filename).toLowerCase());
+      const start = item.timelineStart;
+      const duration = item.layerDuration;
+
+      if (isImage) {
+        command.input(filePath)
+          .inputOptions([
+            '-framerate', String(segmentFps),
+            '-loop', '1',
+            '-t', String(duration)
+          ]);
+      } else {
+        command.input(filePath)
+          .inputOptions([
+            '-accurate_seek',
+            '-ss', String(item.cut ? item.cut[0] : 0),
+            '-t', String(duration)
+          ]);
+      }
+
+      // Size, rounded corners, opacity and timing of the layer
+      const layerFilters = [];
+      const layerWidth = parseDimension(item.width, width);
+      const layerHeight = parseDimension(item.height, height);
+      if (layerWidth || layerHeight) {
+        layerFilters.push(`scale=${layerWidth || -2}:${layerHeight || -2}`);
+      }
+      layerFilters.push('format=yuva420p');
+
+      const radius = Number(item.borderRadius) || 0;
+      if (radius > 0) {
+        // Clear alpha outside a circle of the given radius in each corner
+        const R = radius;
+        layerFilters.push(
+          `geq=lum='p(X,Y)':cb='cb(X,Y)':cr='cr(X,Y)':` +
+          `a='if(gt(abs(W/2-X),W/2-${R})*gt(abs(H/2-Y),H/2-${R}),` +
+          `if(lte(hypot(${R}-(W/2-abs(W/2-X)),${R}-(H/2-abs(H/2-Y))),${R}),alpha(X,Y),0),alpha(X,Y))'`
+        );
+      }
+
+      const opacity = item.opacity !== undefined ? Number(item.opacity) : 1;
+      if (!(opacity >= 0 && opacity <= 1)) {
+        throw new Error(`Invalid opacity for overlay ${item.filename}: must be between 0 and 1`);
+      }
+      if (opacity < 1) {
+        layerFilters.push(`colorchannelmixer=aa=${opacity}`);
+      }
+      layerFilters.push(`setpts=PTS-STARTPTS+${start}/TB`);
+
+      const label = `[layer${layers.length}]`;
+      filterComplex.push(`[${inputIndex}:v]${layerFilters.join(',')}${label}`);
+
+      const { x, y } = layerPosition(item);
+      layers.push({
+        item,
+        label,
+        x,
+        y,
+        start,
+        end: start + duration
+      });
+
+      // Layer audio joins the final mix
+      const volume = item.volume !== undefined ? item.volume : 100;
+      if (!isImage && volume > 0 && await hasAudioStream(filePath)) {
+        const delayMs = Math.round(start * 1000);
+        const delayedLabel = `[oa${overlayAudioLabels.length}]`;
+        const volumeFilter = volume !== 100 ? `,volume=${volume / 100}` : '';
+        const delayFilter = delayMs > 0 ? `adelay=${delayMs}|${delayMs}` : 'anull';
+        filterComplex.push(`[${inputIndex}:a]${delayFilter}${volumeFilter}${delayedLabel}`);
+        hasAudio = true;
+        overlayAudioLabels.push(delayedLabel);
+      }
+
+      inputIndex++;
+    }
+    else if (item.type === "sticker") {
+      const kind = item.stickerKind;
+      const start = item.timelineStart;
+      const loop = item.loop !== undefined ? item.loop : true;
+      // Looping stickers and stills stay until the end of the video unless given a duration
+      const duration = item.duration ||
+        (loop || !item.clipDuration ? Math.max(totalDuration - start, 0) : item.clipDuration);
+      if (!(duration > 0)) {
+        throw new Error(`Sticker ${item.filename} starts after the end of the video`);
+      }
+
+      let inputPath = fileMap[item.filename];
+      let startNumber = null;
+      if (kind === 'sequence') {
+        // Frames are stored side by side, so the pattern resolves next to the first one
+        const sequence = sequenceFrames(item.filename, Object.keys(fileMap));
+        inputPath = path.join(path.dirname(fileMap[sequence.frames[0]]), item.filename);
+        startNumber = sequence.startNumber;
+      }
+      command.input(inputPath)
+        .inputOptions(stickerInputOptions(kind, {
+          duration,
+          loop,
+          fps: segmentFps,
+          frameRate: item.frameRate || DEFAULT_SEQUENCE_FRAME_RATE,
+          startNumber,
+          alphaDecoder: item.alphaDecoder
+        }));
+
+      // Size, opacity and timing; alpha is kept through to the overlay
+      const stickerFilters = [];
+      if (item.scale) {
+        stickerFilters.push(`scale=trunc(iw*${item.scale}/2)*2:trunc(ih*${item.scale}/2)*2`);
+      } else {
+        const stickerWidth = parseDimension(item.width, width);
+        const stickerHeight = parseDimension(item.height, height);
+        if (stickerWidth || stickerHeight) {
+          stickerFilters.push(`scale=${stickerWidth || -2}:${stickerHeight || -2}`);
+        }
+      }
+      stickerFilters.push('format=yuva420p');
+
+      const opacity = item.opacity !== undefined ? Number(item.opacity) : 1;
+      if (!(opacity >= 0 && opacity <= 1)) {
+        throw new Error(`Invalid opacity for sticker ${item.filename}: must be between 0 and 1`);
+      }
+      if (opacity < 1) {
+        stickerFilters.push(`colorchannelmixer=aa=${opacity}`);
+      }
+      stickerFilters.push(`setpts=PTS-STARTPTS+${start}/TB`);
 
+      const label = `[layer${layers.length}]`;
+      filterComplex.push(`[${inputIndex}:v]${stickerFilters.join(',')}${label}`);
+      const { x, y } = layerPosition(item);
+      layers.push({ item, label, x, y, start, end: start + duration });
       inputIndex++;
     }
   }
 
+  // Segments without audio get silence of the same length, so audio stays aligned with video
+  if (segments.some(segment => segment.audio)) {
+    segments.forEach((segment, index) => {
+      if (!segment.audio) {
+        segment.audio = `[silence${index}]`;
+        filterComplex.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${segment.duration}${segment.audio}`);
+      }
+    });
+  }
+  const audioLabels = segments.filter(segment => segment.audio).map(segment => segment.audio);
+
   // Build the complete filter complex for videos first
+  const videoLabels = segments.map(segment => segment.video);
   let finalVideoLabel = '';
-  if (videoLabels.length > 1) {
+  let transitionAudioLabel = null;
+  if (usesTransitions) {
+    // Join segments pairwise: xfade/acrossfade where a transition is declared, concat otherwise
+    let videoLabel = segments[0].video;
+    let audioLabel = segments[0].audio;
+    let offset = segments[0].duration;
+    for (let i = 1; i < segments.length; i++) {
+      const segment = segments[i];
+      const transition = parseTransition(segments[i - 1].item);
+      const nextVideo = `[xv${i}]`;
+      const nextAudio = `[xa${i}]`;
+
+      if (transition) {
+        offset -= transition.duration;
+        filterComplex.push(`${videoLabel}${segment.video}xfade=transition=${transition.type}:duration=${transition.duration}:offset=${offset}${nextVideo}`);
+        if (audioLabel) {
+          filterComplex.push(`${audioLabel}${segment.audio}acrossfade=d=${transition.duration}${nextAudio}`);
+        }
+      } else {
+        filterComplex.push(`${videoLabel}${segment.video}concat=n=2:v=1:a=0${nextVideo}`);
+        if (audioLabel) {
+          filterComplex.push(`${audioLabel}${segment.audio}concat=n=2:v=0:a=1${nextAudio}`);
+        }
+      }
+
+      videoLabel = nextVideo;
+      audioLabel = audioLabel && nextAudio;
+      offset += segment.duration;
+    }
+    filterComplex.push(`${videoLabel}copy[concatv]`);
+    finalVideoLabel = '[concatv]';
+    transitionAudioLabel = audioLabel;
+  } else if (videoLabels.length > 1) {
     // Simple concat for all video segments
     filterComplex.push(`${videoLabels.join('')}concat=n=${videoLabels.length}:v=1:a=0[concatv]`);
     finalVideoLabel = '[concatv]';
@@ -347,6 +804,17 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
     finalVideoLabel = '[concatv]';
   }
 
+  // Composite layers over the base track, lowest zIndex first
+  const sortedLayers = [...layers].sort((a, b) => (a.item.zIndex || 0) - (b.item.zIndex || 0));
+  sortedLayers.forEach((layer, index) => {
+    const nextLabel = `[layered${index}]`;
+    filterComplex.push(
+      `${finalVideoLabel}${layer.label}overlay=x='${layer.x}':y='${layer.y}':` +
+      `enable='between(t,${layer.start},${layer.end})':eof_action=pass${nextLabel}`
+    );
+    finalVideoLabel = nextLabel;
+  });
+
   // Apply text overlays after video concatenation
   let textFilter = finalVideoLabel;
   const textItems = fullTimeline.filter(item => item.type === "text");
@@ -354,7 +822,7 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
   if (textItems.length > 0) {
     for (const textItem of textItems) {
       // Get text style
-      const style = textItem.style ? TEXT_STYLES[textItem.style] : TEXT_STYLES.basic;
+      const style = resolveTextStyle(textItem.style || 'basic', textStyles);
       if (!style) {
         throw new Error(`Invalid text style: ${textItem.style}`);
       }
@@ -364,14 +832,60 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
         style.fontSize = textItem.fontSize;
       }
 
-      // Generate text filter with absolute timing
-      const textFilter = generateDrawTextFilter(
-        escapeText(textItem.text),
-        style,
-        textItem.position || 'middle-center',
-        textItem.startTime || 0,
-        textItem.duration || 5
-      );
+      // Per-item overrides of the style's shadow, line layout and opacity
+      if (textItem.shadowColor !== undefined) {
+        style.shadowColor = textItem.shadowColor;
+      }
+      if (textItem.shadowOffset !== undefined) {
+        const offset = typeof textItem.shadowOffset === 'number'
+          ? { x: textItem.shadowOffset, y: textItem.shadowOffset }
+          : textItem.shadowOffset;
+        style.shadowX = offset.x || 0;
+        style.shadowY = offset.y || 0;
+      } else if (style.shadowColor && !style.shadowX && !style.shadowY) {
+        style.shadowX = style.shadowY = DEFAULT_SHADOW_OFFSET;
+      }
+      for (const option of ['lineSpacing', 'textAlign', 'opacity']) {
+        if (textItem[option] !== undefined) {
+          style[option] = textItem[option];
+        }
+      }
+      const maxWidth = textItem.maxWidth !== undefined ? parseDimension(textItem.maxWidth, width) : null;
+      const layoutOptions = {
+        fontFile: style.fontFile,
+        fallbackFonts: FALLBACK_FONTS,
+        fontSize: style.fontSize || 72,
+        maxWidth,
+        lineSpacing: style.lineSpacing || 0,
+        textAlign: style.textAlign
+      };
+
+      const startTime = textItem.startTime || 0;
+      const duration = textItem.duration || 5;
+      const animation = normalizeTextAnimation(textItem.animation, { startTime, duration });
+
+      // A typewriter effect draws one growing prefix per step; everything else is a single drawtext
+      const steps = animation && [animation.in, animation.out].some(phase => phase && phase.type === 'typewriter')
+        ? typewriterSteps(textItem.text, animation)
+        : [{ text: textItem.text, start: startTime, end: startTime + duration }];
+
+      // Generate text filter with absolute timing. Text that wraps or needs
+      // fallback fonts is laid out here and drawn line by line.
+      const textFilter = steps
+        .flatMap(step => {
+          const layout = needsTextLayout(step.text, layoutOptions) ? layoutText(step.text, layoutOptions) : null;
+          return layout
+            ? generateTextBlockFilters(layout, style, textItem.position || 'middle-center', step.start, step.end - step.start, animation)
+            : [generateDrawTextFilter(
+              escapeText(step.text),
+              style,
+              textItem.position || 'middle-center',
+              step.start,
+              step.end - step.start,
+              animation
+            )];
+        })
+        .join(',');
 
       // Add text filter to the chain
       filterComplex.push(`${finalVideoLabel}${textFilter}[txt${textItems.indexOf(textItem)}]`);
@@ -379,34 +893,115 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
     }
   }
 
+  // Burn in captions on top of everything else
+  if (captionsDocument && finalVideoLabel) {
+    captionsPath = path.join(os.tmpdir(), `ffmux-captions-${uuidv4()}.ass`);
+    fs.writeFileSync(captionsPath, captionsDocument);
+    const captions = `ass=filename='${escapeFilterPath(captionsPath)}':fontsdir='${escapeFilterPath(FONT_DIR)}'`;
+    // libass times cues from the frame timestamps, so an offset moves the
+    // frames back under the cues and returns them afterwards
+    const offset = subtitles.offset || 0;
+    filterComplex.push(offset > 0
+      ? `${finalVideoLabel}setpts=PTS-${offset}/TB,${captions},setpts=PTS+${offset}/TB[captioned]`
+      : `${finalVideoLabel}${captions}[captioned]`);
+    finalVideoLabel = '[captioned]';
+  }
+
+  const removeCaptions = () => {
+    if (captionsPath) {
+      fs.removeSync(captionsPath);
+    }
+  };
+
   // Set final video output label
-  filterComplex.push(`${finalVideoLabel}copy[outv]`);
+  const hasVideoOutput = Boolean(outputSettings.videoCodec);
+  if (!hasVideoOutput) {
+    // Audio-only output: the video graph only exists to keep segment timing, discard it
+    if (finalVideoLabel) {
+      filterComplex.push(`${finalVideoLabel}nullsink`);
+    }
+  } else if (outputSettings.videoCodec === 'gif') {
+    // Two-pass palette for clean GIF colours
+    filterComplex.push(`${finalVideoLabel}fps=${outputSettings.fps},split[gifa][gifb]`);
+    filterComplex.push(`[gifa]palettegen[gifpalette]`);
+    filterComplex.push(`[gifb][gifpalette]paletteuse[outv]`);
+  } else {
+    filterComplex.push(`${finalVideoLabel}copy[outv]`);
+  }
 
   // Final audio processing
   if (hasAudio) {
     let mainAudioLabel = null;
 
     // 1) Sequential audio from video/image segments – concat if needed
-    if (audioLabels.length === 1) {
+    if (transitionAudioLabel) {
+      mainAudioLabel = transitionAudioLabel;
+    } else if (audioLabels.length === 1) {
       mainAudioLabel = audioLabels[0];
     } else if (audioLabels.length > 1) {
       mainAudioLabel = '[videocona]';
       filterComplex.push(`${audioLabels.join('')}concat=n=${audioLabels.length}:v=0:a=1${mainAudioLabel}`);
     }
 
-    // 2) Collect all streams for mixing
+    // 2) Duck music under the segment audio: the voice drives a sidechain compressor on each ducked track
+    let mixedOverlayLabels = overlayAudioLabels;
+    if (duckedAudio.length > 0 && mainAudioLabel) {
+      const sidechainLabels = duckedAudio.map((track, index) => `[duckkey${index}]`);
+      filterComplex.push(`${mainAudioLabel}asplit=${duckedAudio.length + 1}[voice]${sidechainLabels.join('')}`);
+      mainAudioLabel = '[voice]';
+
+      mixedOverlayLabels = overlayAudioLabels.map(label => {
+        const index = duckedAudio.findIndex(track => track.label === label);
+        if (index === -1) return label;
+        const { threshold, ratio, attack, release } = duckedAudio[index].options;
+        const duckedLabel = `[ducked${index}]`;
+        filterComplex.push(
+          `${label}${sidechainLabels[index]}sidechaincompress=` +
+          `threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}${duckedLabel}`
+        );
+        return duckedLabel;
+      });
+    } else if (duckedAudio.length > 0) {
+      console.warn('Ducking skipped: no video segment has audio to duck under');
+    }
+
+    // 3) Collect all streams for mixing
     const mixInputs = [];
     if (mainAudioLabel) mixInputs.push(mainAudioLabel);
-    mixInputs.push(...overlayAudioLabels);
+    mixInputs.push(...mixedOverlayLabels);
 
+    // Loudness normalization runs on the final mix
+    const mixLabel = loudnessTarget ? '[premix]' : '[outa]';
     if (mixInputs.length === 1) {
-      filterComplex.push(`${mixInputs[0]}aresample=async=1[outa]`);
+      filterComplex.push(`${mixInputs[0]}aresample=async=1${mixLabel}`);
     } else {
+      // normalize=0 keeps every input at its own volume instead of dividing by the input count.
+      // The summed inputs can go past full scale, so without loudnorm (which
+      // limits true peaks itself) a limiter keeps the mix from clipping.
       const mixChain = mixInputs.join('');
-      filterComplex.push(`${mixChain}amix=inputs=${mixInputs.length}:duration=longest:dropout_transition=2[outa]`);
+      const limiter = loudnessTarget ? '' : `,alimiter=limit=${MIX_PEAK_LIMIT}:level=disabled`;
+      filterComplex.push(`${mixChain}amix=inputs=${mixInputs.length}:duration=longest:dropout_transition=2:normalize=0${limiter}${mixLabel}`);
+    }
+
+    if (loudnessTarget) {
+      // loudnorm resamples to 192kHz internally
+      filterComplex.push(
+        `${mixLabel}loudnorm=I=${loudnessTarget.integrated}:TP=${loudnessTarget.truePeak}:LRA=${loudnessTarget.range},` +
+        `aresample=${AUDIO_SAMPLE_RATE}[outa]`
+      );
     }
   }
 
+  const hasAudioOutput = hasAudio && Boolean(outputSettings.audioCodec);
+  if (hasAudio && !hasAudioOutput) {
+    // Output format has no audio (e.g. GIF) – terminate the audio graph
+    filterComplex.push('[outa]anullsink');
+  }
+  if (!hasVideoOutput && !hasAudioOutput) {
+    removeCaptions();
+    throw new Error(`Audio-only output (${outputSettings.container}) needs at least one audio source`);
+  }
+
   // Log the complete filter complex
   console.log('Complete filter complex:', filterComplex.join(';'));
 
@@ -414,30 +1009,22 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
   command.complexFilter(filterComplex.join(';'));
 
   // Add output options
-  command
-    .outputOptions([
-      '-map', '[outv]',
-      '-vcodec', 'libx264',
-      '-crf', quality,
-      '-preset', 'veryfast',
-      '-r', '30',
-      '-pix_fmt', 'yuv420p',
-      '-profile:v', 'main',
-      '-level', '4.0',
-      '-maxrate', '4M',
-      '-bufsize', '8M',
-      '-movflags', '+faststart',
-      '-vsync', 'cfr',
-      '-progress', 'pipe:1'
-    ]);
-
-  // Add audio output options if we have audio
-  if (hasAudio) {
-    command.outputOptions([
-      '-map', '[outa]',
-      '-acodec', 'aac',
-      '-b:a', '192k'
-    ]);
+  const outputOptions = [
+    ...(hasVideoOutput ? ['-map', '[outv]'] : []),
+    ...(hasAudioOutput ? ['-map', '[outa]'] : []),
+    ...buildOutputOptions({ ...outputSettings, audioCodec: hasAudioOutput ? outputSettings.audioCodec : null }),
+    '-progress', 'pipe:1'
+  ];
+  command.outputOptions(outputOptions);
+
+  if (dryRun) {
+    removeCaptions();
+    return {
+      filterComplex: filterComplex.join(';'),
+      outputOptions,
+      totalDuration,
+      timeline: fullTimeline
+    };
   }
 
   // Set output
@@ -491,16 +1078,19 @@ export default async function renderJob({ instructions, fileMap, outputDir }) {
     }
   });
 
-  // Return both command and promise
+  // Return the command, its output path and a promise for completion
   return {
     command,
+    outputPath,
     promise: new Promise((resolve, reject) => {
       command.on('end', () => {
         console.log('FFmpeg render completed:', outputPath);
+        removeCaptions();
         resolve(outputPath);
       });
       command.on('error', (err) => {
         console.error('FFmpeg render error:', err);
+        removeCaptions();
         reject(err);
       });
       command.run();
@@ -0,0 +1,427 @@
+import { SCALING_MODES, TRANSITIONS } from "./render.js";
+import { TEXT_STYLES, TEXT_POSITIONS, TEXT_ALIGNMENTS } from "./textStyles.js";
+import { OUTPUT_PROFILES, CONTAINERS } from "./outputProfiles.js";
+import { CAPTION_FORMATS } from "./captions.js";
+import { TEXT_ANIMATIONS, EASINGS } from "./textAnimations.js";
+import { MIN_SPEED, MAX_SPEED, FRAME_CONFORM_MODES } from "./segmentTiming.js";
+import { SEGMENT_FILTERS, FILTER_LIMITS, FLIP_DIRECTIONS } from "./segmentFilters.js";
+import { MOTION_PRESETS, MIN_ZOOM, MAX_ZOOM } from "./motion.js";
+import { MAX_STICKER_SCALE } from "./stickers.js";
+import { BRAND_ELEMENTS } from "./brandKits.js";
+
+const seconds = { type: "number", minimum: 0 };
+const positiveSeconds = { type: "number", exclusiveMinimum: 0 };
+const volume = { type: "number", minimum: 0 };
+const cut = {
+  type: "array",
+  items: seconds,
+  minItems: 2,
+  maxItems: 2
+};
+const dimension = {
+  oneOf: [
+    { type: "number", exclusiveMinimum: 0 },
+    { type: "string", pattern: "^\\d+(\\.\\d+)?%?$" }
+  ]
+};
+
+// Build the JSON Schema for POST /render. Enums are taken from the live
+// style/scaling/transition tables so the schema never drifts from the renderer.
+// `textStyles` lists the style names available, user presets included.
+export function buildRenderSchema({ textStyles = Object.keys(TEXT_STYLES) } = {}) {
+  const scaling = { type: "string", enum: Object.keys(SCALING_MODES) };
+  const transition = {
+    oneOf: [
+      { type: "string", enum: TRANSITIONS },
+      {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: TRANSITIONS },
+          duration: positiveSeconds
+        },
+        additionalProperties: false
+      }
+    ]
+  };
+
+  const textAnimationPhase = {
+    oneOf: [
+      { type: "string", enum: TEXT_ANIMATIONS },
+      {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { type: "string", enum: TEXT_ANIMATIONS },
+          duration: positiveSeconds,
+          easing: { type: "string", enum: Object.keys(EASINGS) }
+        },
+        additionalProperties: false
+      }
+    ]
+  };
+
+  const range = ([minimum, maximum]) => ({ type: "number", minimum, maximum });
+  const cropValue = {
+    oneOf: [
+      { type: "number", minimum: 0 },
+      { type: "string", pattern: "^\\d+(\\.\\d+)?%?$" }
+    ]
+  };
+  const filterSchemas = {
+    adjust: {
+      brightness: range(FILTER_LIMITS.brightness),
+      contrast: range(FILTER_LIMITS.contrast),
+      saturation: range(FILTER_LIMITS.saturation),
+      gamma: range(FILTER_LIMITS.gamma)
+    },
+    lut: { filename: { type: "string", minLength: 1 } },
+    blur: { radius: range(FILTER_LIMITS.radius) },
+    crop: { x: cropValue, y: cropValue, width: cropValue, height: cropValue },
+    rotate: { angle: { type: "number" } },
+    flip: { direction: { type: "string", enum: FLIP_DIRECTIONS } },
+    vignette: { intensity: range(FILTER_LIMITS.intensity) }
+  };
+  const filterRequired = { lut: ["filename"], blur: ["radius"], crop: ["width", "height"], rotate: ["angle"] };
+  const filters = {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: SEGMENT_FILTERS }
+      },
+      allOf: Object.entries(filterSchemas).map(([type, properties]) => ({
+        if: { properties: { type: { const: type } }, required: ["type"] },
+        then: {
+          required: filterRequired[type] || [],
+          properties: { type: { const: type }, ...properties },
+          additionalProperties: false
+        }
+      }))
+    }
+  };
+
+  const framing = {
+    type: "object",
+    properties: {
+      zoom: { type: "number", minimum: MIN_ZOOM, maximum: MAX_ZOOM },
+      x: { type: "number", minimum: 0, maximum: 1 },
+      y: { type: "number", minimum: 0, maximum: 1 }
+    },
+    additionalProperties: false
+  };
+  const motion = {
+    oneOf: [
+      { type: "string", enum: Object.keys(MOTION_PRESETS) },
+      {
+        type: "object",
+        properties: {
+          preset: { type: "string", enum: Object.keys(MOTION_PRESETS) },
+          from: framing,
+          to: framing,
+          easing: { type: "string", enum: Object.keys(EASINGS) }
+        },
+        additionalProperties: false
+      }
+    ]
+  };
+
+  const itemSchemas = {
+    video: {
+      type: "object",
+      required: ["type", "filename"],
+      properties: {
+        type: { const: "video" },
+        filename: { type: "string", minLength: 1 },
+        cut,
+        volume,
+        scaling,
+        transition,
+        speed: { type: "number", minimum: MIN_SPEED, maximum: MAX_SPEED },
+        reverse: { type: "boolean" },
+        freezeAt: seconds,
+        freezeDuration: positiveSeconds,
+        conform: { type: "string", enum: FRAME_CONFORM_MODES },
+        filters,
+        motion
+      },
+      dependencies: { freezeAt: ["freezeDuration"], freezeDuration: ["freezeAt"] },
+      additionalProperties: false
+    },
+    image: {
+      type: "object",
+      required: ["type", "filename"],
+      properties: {
+        type: { const: "image" },
+        filename: { type: "string", minLength: 1 },
+        duration: positiveSeconds,
+        scaling,
+        transition,
+        filters,
+        motion
+      },
+      additionalProperties: false
+    },
+    audio: {
+      type: "object",
+      required: ["type", "filename"],
+      properties: {
+        type: { const: "audio" },
+        filename: { type: "string", minLength: 1 },
+        startTime: seconds,
+        cut,
+        duration: positiveSeconds,
+        volume,
+        fadeIn: positiveSeconds,
+        fadeOut: positiveSeconds,
+        loop: { type: "boolean" },
+        duck: {
+          oneOf: [
+            { type: "boolean" },
+            {
+              type: "object",
+              properties: {
+                threshold: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+                ratio: { type: "number", minimum: 1, maximum: 20 },
+                attack: { type: "number", exclusiveMinimum: 0 },
+                release: { type: "number", exclusiveMinimum: 0 }
+              },
+              additionalProperties: false
+            }
+          ]
+        }
+      },
+      additionalProperties: false
+    },
+    overlay: {
+      type: "object",
+      required: ["type", "filename"],
+      properties: {
+        type: { const: "overlay" },
+        filename: { type: "string", minLength: 1 },
+        startTime: seconds,
+        duration: positiveSeconds,
+        cut,
+        position: { type: "string", enum: Object.keys(TEXT_POSITIONS) },
+        x: { type: ["number", "string"] },
+        y: { type: ["number", "string"] },
+        width: dimension,
+        height: dimension,
+        opacity: { type: "number", minimum: 0, maximum: 1 },
+        borderRadius: seconds,
+        zIndex: { type: "integer" },
+        volume
+      },
+      additionalProperties: false
+    },
+    sticker: {
+      type: "object",
+      required: ["type", "filename"],
+      properties: {
+        type: { const: "sticker" },
+        filename: { type: "string", minLength: 1 },
+        startTime: seconds,
+        duration: positiveSeconds,
+        loop: { type: "boolean" },
+        frameRate: { type: "number", exclusiveMinimum: 0, maximum: 120 },
+        position: { type: "string", enum: Object.keys(TEXT_POSITIONS) },
+        x: { type: ["number", "string"] },
+        y: { type: ["number", "string"] },
+        width: dimension,
+        height: dimension,
+        scale: { type: "number", exclusiveMinimum: 0, maximum: MAX_STICKER_SCALE },
+        opacity: { type: "number", minimum: 0, maximum: 1 },
+        zIndex: { type: "integer" }
+      },
+      additionalProperties: false
+    },
+    text: {
+      type: "object",
+      required: ["type", "text"],
+      properties: {
+        type: { const: "text" },
+        text: { type: "string", minLength: 1 },
+        style: { type: "string", enum: textStyles },
+        fontSize: { type: "number", exclusiveMinimum: 0 },
+        position: {
+          oneOf: [
+            { type: "string", enum: Object.keys(TEXT_POSITIONS) },
+            {
+              type: "object",
+              required: ["x", "y"],
+              properties: {
+                x: { type: ["number", "string"] },
+                y: { type: ["number", "string"] }
+              },
+              additionalProperties: false
+            }
+          ]
+        },
+        maxWidth: dimension,
+        textAlign: { type: "string", enum: TEXT_ALIGNMENTS },
+        lineSpacing: { type: "number" },
+        shadowColor: { type: "string" },
+        shadowOffset: {
+          oneOf: [
+            { type: "number" },
+            {
+              type: "object",
+              properties: {
+                x: { type: "number" },
+                y: { type: "number" }
+              },
+              additionalProperties: false
+            }
+          ]
+        },
+        opacity: { type: "number", minimum: 0, maximum: 1 },
+        startTime: seconds,
+        duration: positiveSeconds,
+        animation: {
+          type: "object",
+          properties: {
+            in: textAnimationPhase,
+            out: textAnimationPhase
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    lowerThird: {
+      type: "object",
+      required: ["type", "template", "text"],
+      properties: {
+        type: { const: "lowerThird" },
+        template: { type: "string", minLength: 1 },
+        text: { type: "string", minLength: 1 },
+        startTime: seconds,
+        duration: positiveSeconds
+      },
+      additionalProperties: false
+    }
+  };
+
+  const kitName = { type: "string", pattern: "^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$" };
+
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    $id: "https://github.com/muzafferkadir/FFmux/render.schema.json",
+    title: "FFmux render request",
+    type: "object",
+    required: ["timeline"],
+    properties: {
+      resolution: { type: "string", pattern: "^[1-9]\\d*x[1-9]\\d*$" },
+      quality: { type: ["string", "integer"], pattern: "^\\d+$" },
+      extension: { type: "string", enum: Object.keys(CONTAINERS) },
+      scaling,
+      output: {
+        oneOf: [
+          { type: "string", enum: Object.keys(OUTPUT_PROFILES) },
+          {
+            type: "object",
+            properties: {
+              profile: { type: "string", enum: Object.keys(OUTPUT_PROFILES) },
+              container: { type: "string", enum: Object.keys(CONTAINERS) },
+              videoCodec: { type: "string" },
+              audioCodec: { type: "string" },
+              fps: { type: "number", exclusiveMinimum: 0, maximum: 120 },
+              crf: { type: "integer", minimum: 0, maximum: 63 },
+              bitrate: { type: "string" },
+              audioBitrate: { type: "string" },
+              preset: { type: "string" },
+              pixelFormat: { type: "string" }
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      loudness: {
+        oneOf: [
+          { type: "number", minimum: -70, maximum: -5 },
+          {
+            type: "object",
+            properties: {
+              integrated: { type: "number", minimum: -70, maximum: -5 },
+              truePeak: { type: "number", minimum: -9, maximum: 0 },
+              range: { type: "number", minimum: 1, maximum: 50 }
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      subtitles: {
+        oneOf: [
+          { type: "string", minLength: 1 },
+          {
+            type: "object",
+            properties: {
+              content: { type: "string", minLength: 1 },
+              format: { type: "string", enum: [...CAPTION_FORMATS, "webvtt"] },
+              words: {
+                type: "array",
+                minItems: 1,
+                items: {
+                  type: "object",
+                  required: ["text", "start", "end"],
+                  properties: {
+                    text: { type: "string" },
+                    start: seconds,
+                    end: seconds
+                  },
+                  additionalProperties: false
+                }
+              },
+              style: { type: "string", enum: textStyles },
+              position: { type: "string", enum: Object.keys(TEXT_POSITIONS) },
+              highlightColor: { type: "string" },
+              maxWordsPerLine: { type: "integer", minimum: 1 },
+              offset: seconds
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      brandKit: {
+        oneOf: [
+          kitName,
+          {
+            type: "object",
+            required: ["name"],
+            properties: {
+              name: kitName,
+              ...Object.fromEntries(BRAND_ELEMENTS.map(element => [element, { type: "boolean" }]))
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      webhook: {
+        type: "object",
+        required: ["url"],
+        properties: {
+          url: { type: "string", pattern: "^https?://" },
+          headers: { type: "object", additionalProperties: { type: "string" } },
+          secret: { type: "string", minLength: 1 }
+        },
+        additionalProperties: false
+      },
+      timeline: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["type"],
+          properties: {
+            type: { type: "string", enum: Object.keys(itemSchemas) }
+          },
+          allOf: Object.entries(itemSchemas).map(([type, schema]) => ({
+            if: { properties: { type: { const: type } }, required: ["type"] },
+            then: schema
+          }))
+        }
+      }
+    },
+    additionalProperties: false
+  };
+}
@@ -0,0 +1,245 @@
+import fs from "fs-extra";
+import { isSequencePattern, sequenceFrames } from "./stickers.js";
+
+// Retention for uploads and outputs: outputs expire a while after they were
+// rendered, uploads a while after they were last used unless a saved project
+// refers to them, and a total size cap evicts the least recently used files.
+// The local copies the S3 backend downloads get the same treatment under
+// their own TTL and cap. Files that a queued or processing job needs are
+// never touched.
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+// "90" (seconds), "30m", "12h" or "7d" in seconds; null when empty.
+// Throws on anything else.
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (use seconds or a number with s, m, h or d)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[(match[2] || "s").toLowerCase()];
+}
+
+// "1073741824", "500MB" or "2GB" in bytes; null when empty. Throws on anything else.
+export function parseSize(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size: ${value} (use bytes or a number with KB, MB, GB or TB)`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+// When each stored file was last used (rendered from, downloaded), by storage
+// key. Writes are batched since downloads and renders touch it often.
+export function createAccessLog({ storePath, flushDelay = 5000 }) {
+  let accessed = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      accessed = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error("Failed to read file access log, starting empty:", error);
+    }
+  }
+
+  let flushTimer = null;
+  const persist = () => {
+    flushTimer = null;
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, accessed);
+    fs.renameSync(tmpPath, storePath);
+  };
+  const schedulePersist = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(persist, flushDelay);
+      flushTimer.unref();
+    }
+  };
+
+  return {
+    touch(key) {
+      accessed[key] = Date.now();
+      schedulePersist();
+    },
+
+    // Last use of a file, or its modification time if it was never used since
+    lastUsed(key, modified) {
+      return Math.max(accessed[key] || 0, new Date(modified).getTime());
+    },
+
+    forget(key) {
+      if (!(key in accessed)) return;
+      delete accessed[key];
+      schedulePersist();
+    }
+  };
+}
+
+// Periodic sweeper over every namespace.
+//
+//   spaces()                   -> namespaces to sweep ({ uploads, outputs, owner, media })
+//   isInUse(key)               -> true while a queued/processing job needs the file
+//   referencedUploads(owner)   -> Set of upload names saved projects and brand kits refer to
+//   policy                     -> { outputTtl, uploadTtl, cacheTtl (seconds), maxBytes, cacheMaxBytes }, null = off
+export function createRetentionSweeper({ storage, accessLog, spaces, isInUse, referencedUploads, policy }) {
+  let lastSweep = null;
+  let sweeping = null;
+
+  // Referenced names plus the frames of referenced PNG sequence patterns
+  const expandReferences = (referenced, names) => {
+    const expanded = new Set(referenced);
+    for (const name of referenced) {
+      if (!isSequencePattern(name)) continue;
+      try {
+        sequenceFrames(name, names).frames.forEach(frame => expanded.add(frame));
+      } catch (error) {
+        // No (complete) sequence left to keep
+      }
+    }
+    return expanded;
+  };
+
+  // Every stored upload and output with what the policy needs to know
+  const collect = async () => {
+    const files = [];
+    for (const space of spaces()) {
+      const uploads = await storage.list(space.uploads);
+      const referenced = expandReferences(referencedUploads(space.owner), uploads.map(file => file.name));
+      for (const [kind, listed] of [["upload", uploads], ["output", await storage.list(space.outputs)]]) {
+        for (const file of listed) {
+          files.push({
+            ...file,
+            kind,
+            space,
+            lastUsed: accessLog.lastUsed(file.key, file.modified),
+            referenced: kind === "upload" && referenced.has(file.name)
+          });
+        }
+      }
+    }
+    return files;
+  };
+
+  const removeFile = async (file) => {
+    await storage.remove(file.key);
+    if (file.kind === "upload") {
+      file.space.media.remove(file.name);
+    }
+    accessLog.forget(file.key);
+  };
+
+  // Expire unused local copies of remote files, then evict the least
+  // recently used ones above the cap. Returns what was removed.
+  const sweepCache = async (startedAt) => {
+    const removed = [];
+    const keep = [];
+    for (const file of await storage.cachedFiles()) {
+      if (policy.cacheTtl !== null && startedAt - file.lastUsed > policy.cacheTtl * 1000 && !isInUse(file.key)) {
+        await storage.evictCached(file.key);
+        removed.push({ key: file.key, size: file.size, reason: "expired" });
+      } else {
+        keep.push(file);
+      }
+    }
+
+    let totalBytes = keep.reduce((total, file) => total + file.size, 0);
+    if (policy.cacheMaxBytes !== null && totalBytes > policy.cacheMaxBytes) {
+      for (const file of keep.sort((a, b) => a.lastUsed - b.lastUsed)) {
+        if (totalBytes <= policy.cacheMaxBytes) break;
+        if (isInUse(file.key)) continue;
+        await storage.evictCached(file.key);
+        totalBytes -= file.size;
+        removed.push({ key: file.key, size: file.size, reason: "quota" });
+      }
+    }
+    return { removed, freedBytes: removed.reduce((total, file) => total + file.size, 0), totalBytes };
+  };
+
+  const run = async () => {
+    const startedAt = Date.now();
+    const removed = [];
+    const files = await collect();
+    const keep = [];
+
+    for (const file of files) {
+      let reason = null;
+      if (file.kind === "output" && policy.outputTtl !== null &&
+          startedAt - new Date(file.modified).getTime() > policy.outputTtl * 1000) {
+        reason = "expired";
+      } else if (file.kind === "upload" && policy.uploadTtl !== null && !file.referenced &&
+          startedAt - file.lastUsed > policy.uploadTtl * 1000) {
+        reason = "unused";
+      }
+
+      if (reason && !isInUse(file.key)) {
+        await removeFile(file);
+        removed.push({ key: file.key, size: file.size, reason });
+      } else {
+        keep.push(file);
+      }
+    }
+
+    // Over the cap: evict least recently used files first. Uploads of saved
+    // projects are kept so their versions can still be re-rendered.
+    let totalBytes = keep.reduce((total, file) => total + file.size, 0);
+    if (policy.maxBytes !== null && totalBytes > policy.maxBytes) {
+      const candidates = keep
+        .filter(file => !file.referenced)
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+      for (const file of candidates) {
+        if (totalBytes <= policy.maxBytes) break;
+        if (isInUse(file.key)) continue;
+        await removeFile(file);
+        totalBytes -= file.size;
+        removed.push({ key: file.key, size: file.size, reason: "quota" });
+      }
+    }
+
+    const cache = await sweepCache(startedAt);
+
+    lastSweep = {
+      startedAt: new Date(startedAt),
+      finishedAt: new Date(),
+      removed,
+      freedBytes: removed.reduce((total, file) => total + file.size, 0),
+      totalBytes,
+      cache
+    };
+    if (removed.length > 0) {
+      console.log(`Retention sweep removed ${removed.length} file(s), freeing ${lastSweep.freedBytes} bytes`);
+    }
+    if (cache.removed.length > 0) {
+      console.log(`Retention sweep dropped ${cache.removed.length} cached copies, freeing ${cache.freedBytes} bytes`);
+    }
+    return lastSweep;
+  };
+
+  const sweeper = {
+    policy,
+
+    // Run a sweep now; concurrent calls share the running sweep
+    sweep() {
+      if (!sweeping) {
+        sweeping = run().finally(() => {
+          sweeping = null;
+        });
+      }
+      return sweeping;
+    },
+
+    lastSweep() {
+      return lastSweep;
+    },
+
+    // Sweep every `interval` seconds, starting now
+    start(interval) {
+      const tick = () => sweeper.sweep().catch(error => console.error("Retention sweep error:", error));
+      tick();
+      setInterval(tick, interval * 1000).unref();
+    }
+  };
+
+  return sweeper;
+}
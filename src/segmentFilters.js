@@ -0,0 +1,168 @@
+import path from "path";
+
+// Per-segment visual filters for `video` and `image` items, given as a
+// `filters` array of { type, ...options }. Geometry filters (crop, rotate,
+// flip) work on the source picture and run before scaling; look filters
+// (adjust, lut, blur, vignette) run on the scaled frame. Each group keeps the
+// order of the array.
+
+// .cube and .3dl LUTs are uploaded like media and referenced by file name
+export const LUT_EXTENSIONS = ['.cube', '.3dl'];
+
+export const FLIP_DIRECTIONS = ['horizontal', 'vertical', 'both'];
+
+// Limits of the options, shared with the JSON Schema
+export const FILTER_LIMITS = {
+  brightness: [-1, 1],
+  contrast: [0, 3],
+  saturation: [0, 3],
+  gamma: [0.1, 10],
+  radius: [0.1, 100],
+  intensity: [0, 1]
+};
+
+const GEOMETRY_FILTERS = ['crop', 'rotate', 'flip'];
+export const SEGMENT_FILTERS = [...GEOMETRY_FILTERS, 'adjust', 'lut', 'blur', 'vignette'];
+
+// Vignette angle at intensity 1 (the widest ffmpeg allows)
+const MAX_VIGNETTE_ANGLE = Math.PI / 2;
+const DEFAULT_VIGNETTE_INTENSITY = 0.4;
+
+// Crop values: pixels of the source (640) or percent of its size ("25%")
+const CROP_VALUE_PATTERN = /^\d+(\.\d+)?%?$/;
+
+// Error naming the filter's position in the array, for validation paths
+const filterError = (message, index) => Object.assign(new Error(message), { index });
+
+const inRange = (value, [min, max]) => typeof value === 'number' && value >= min && value <= max;
+
+// Crop value as an ffmpeg expression over the source size (`iw` or `ih`)
+const cropExpression = (value, size) => {
+  const text = String(value);
+  return text.endsWith('%') ? `${size}*${parseFloat(text) / 100}` : text;
+};
+
+// Check an item's `filters` array. Throws on invalid filters; the error's
+// `index` is the position of the offending filter.
+export function checkSegmentFilters(filters, name) {
+  if (filters === undefined) return;
+  if (!Array.isArray(filters)) {
+    throw filterError(`filters for ${name} must be an array`, null);
+  }
+
+  filters.forEach((filter, index) => {
+    const fail = (message) => {
+      throw filterError(`Invalid ${filter && filter.type} filter for ${name}: ${message}`, index);
+    };
+    if (!filter || typeof filter !== 'object' || !SEGMENT_FILTERS.includes(filter.type)) {
+      throw filterError(`Unknown filter for ${name}: use one of ${SEGMENT_FILTERS.join(', ')}`, index);
+    }
+
+    switch (filter.type) {
+      case 'adjust': {
+        const options = ['brightness', 'contrast', 'saturation', 'gamma'].filter(option => filter[option] !== undefined);
+        if (options.length === 0) {
+          fail('set at least one of brightness, contrast, saturation or gamma');
+        }
+        for (const option of options) {
+          if (!inRange(filter[option], FILTER_LIMITS[option])) {
+            fail(`${option} must be between ${FILTER_LIMITS[option][0]} and ${FILTER_LIMITS[option][1]}`);
+          }
+        }
+        break;
+      }
+      case 'lut':
+        if (typeof filter.filename !== 'string' || !LUT_EXTENSIONS.includes(path.extname(filter.filename).toLowerCase())) {
+          fail(`filename must name an uploaded ${LUT_EXTENSIONS.join(' or ')} file`);
+        }
+        break;
+      case 'blur':
+        if (!inRange(filter.radius, FILTER_LIMITS.radius)) {
+          fail(`radius must be between ${FILTER_LIMITS.radius[0]} and ${FILTER_LIMITS.radius[1]}`);
+        }
+        break;
+      case 'crop':
+        for (const option of ['x', 'y', 'width', 'height']) {
+          const value = filter[option];
+          if (value === undefined && (option === 'x' || option === 'y')) continue;
+          if (!CROP_VALUE_PATTERN.test(String(value)) || (option === 'width' || option === 'height') && !(parseFloat(value) > 0)) {
+            fail(`${option} must be ${option === 'x' || option === 'y' ? '0 or more' : 'positive'} pixels or a percentage`);
+          }
+        }
+        break;
+      case 'rotate':
+        if (typeof filter.angle !== 'number' || !Number.isFinite(filter.angle)) {
+          fail('angle must be a number of degrees');
+        }
+        break;
+      case 'flip':
+        if (!FLIP_DIRECTIONS.includes(filter.direction || 'horizontal')) {
+          fail(`direction must be one of ${FLIP_DIRECTIONS.join(', ')}`);
+        }
+        break;
+      case 'vignette':
+        if (filter.intensity !== undefined && !inRange(filter.intensity, FILTER_LIMITS.intensity)) {
+          fail('intensity must be between 0 and 1');
+        }
+        break;
+    }
+  });
+}
+
+// Upload names of the LUTs an item's filters need
+export const lutFilenames = (filters) => (Array.isArray(filters) ? filters : [])
+  .filter(filter => filter && filter.type === 'lut' && typeof filter.filename === 'string')
+  .map(filter => filter.filename);
+
+// ffmpeg filter for one entry of `filters`. `lutPath(filename)` returns the
+// escaped local path of an uploaded LUT.
+const buildFilter = (filter, lutPath) => {
+  switch (filter.type) {
+    case 'adjust':
+      return 'eq=' + ['brightness', 'contrast', 'saturation', 'gamma']
+        .filter(option => filter[option] !== undefined)
+        .map(option => `${option}=${filter[option]}`)
+        .join(':');
+    case 'lut':
+      return `lut3d=file='${lutPath(filter.filename)}'`;
+    case 'blur':
+      return `gblur=sigma=${filter.radius}`;
+    case 'crop': {
+      const width = cropExpression(filter.width, 'iw');
+      const height = cropExpression(filter.height, 'ih');
+      const x = cropExpression(filter.x || 0, 'iw');
+      const y = cropExpression(filter.y || 0, 'ih');
+      return `crop=${width}:${height}:${x}:${y}`;
+    }
+    case 'rotate': {
+      // Quarter turns swap width and height without losing pixels
+      const angle = ((filter.angle % 360) + 360) % 360;
+      if (angle === 0) return 'null';
+      if (angle === 90) return 'transpose=clock';
+      if (angle === 180) return 'hflip,vflip';
+      if (angle === 270) return 'transpose=cclock';
+      return `rotate=${(angle * Math.PI / 180).toFixed(6)}:fillcolor=black`;
+    }
+    case 'flip': {
+      const direction = filter.direction || 'horizontal';
+      if (direction === 'both') return 'hflip,vflip';
+      return direction === 'vertical' ? 'vflip' : 'hflip';
+    }
+    case 'vignette': {
+      const intensity = filter.intensity !== undefined ? filter.intensity : DEFAULT_VIGNETTE_INTENSITY;
+      return `vignette=angle=${(intensity * MAX_VIGNETTE_ANGLE).toFixed(6)}`;
+    }
+  }
+  throw new Error(`Unknown filter: ${filter.type}`);
+};
+
+// Split an item's filters into the ffmpeg filters that go before scaling
+// (geometry) and after it (look): { before: [...], after: [...] }
+export function segmentFilterChains(filters, { lutPath }) {
+  const chains = { before: [], after: [] };
+  for (const filter of filters || []) {
+    const group = GEOMETRY_FILTERS.includes(filter.type) ? chains.before : chains.after;
+    group.push(buildFilter(filter, lutPath));
+  }
+  return chains;
+}
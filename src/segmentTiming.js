@@ -0,0 +1,162 @@
+// Playback options of `video` timeline items: speed, reverse, freeze frames
+// and how the source frame rate is conformed to the output.
+//
+// A segment plays its cut range (sourceDuration seconds of the file) at
+// `speed`, optionally backwards, and holds one frame for `freezeDuration`
+// seconds at `freezeAt` – a time within the played segment. Its length on
+// the timeline is sourceDuration / speed + freezeDuration.
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4;
+
+// `reverse` buffers every frame of the segment, so keep it short
+export const MAX_REVERSE_DURATION = 30;
+
+// nearest: drop/duplicate frames (fps filter), blend: mix neighbouring frames (framerate filter)
+export const FRAME_CONFORM_MODES = ['nearest', 'blend'];
+
+// atempo only takes 0.5-2 per instance, so larger changes are chained
+const ATEMPO_MIN = 0.5;
+const ATEMPO_MAX = 2;
+
+// Error naming the item property that's wrong, for validation paths
+const optionError = (message, property) => Object.assign(new Error(message), { property });
+
+// Check the playback options that don't depend on the media. Throws on
+// invalid values; the error's `property` names the offending option.
+export function checkVideoOptions(item) {
+  const name = item.filename;
+  if (item.speed !== undefined && !(typeof item.speed === 'number' && item.speed >= MIN_SPEED && item.speed <= MAX_SPEED)) {
+    throw optionError(`Invalid speed for ${name}: must be between ${MIN_SPEED} and ${MAX_SPEED}`, 'speed');
+  }
+  if (item.reverse !== undefined && typeof item.reverse !== 'boolean') {
+    throw optionError(`Invalid reverse for ${name}: must be true or false`, 'reverse');
+  }
+  if ((item.freezeAt === undefined) !== (item.freezeDuration === undefined)) {
+    throw optionError(`freezeAt and freezeDuration must be given together for ${name}`, item.freezeAt === undefined ? 'freezeAt' : 'freezeDuration');
+  }
+  if (item.freezeAt !== undefined && !(typeof item.freezeAt === 'number' && item.freezeAt >= 0)) {
+    throw optionError(`Invalid freezeAt for ${name}: must be 0 or more seconds`, 'freezeAt');
+  }
+  if (item.freezeDuration !== undefined && !(typeof item.freezeDuration === 'number' && item.freezeDuration > 0)) {
+    throw optionError(`Invalid freezeDuration for ${name}: must be positive`, 'freezeDuration');
+  }
+  if (item.conform !== undefined && !FRAME_CONFORM_MODES.includes(item.conform)) {
+    throw optionError(`Invalid conform mode for ${name}: use one of ${FRAME_CONFORM_MODES.join(', ')}`, 'conform');
+  }
+}
+
+// Resolve the timing of a video item against its probed duration:
+// { start, sourceDuration, speed, reverse, freeze: { at, duration } | null, duration }.
+// Throws when the options don't fit the clip.
+export function resolveVideoTiming(item, mediaDuration) {
+  checkVideoOptions(item);
+
+  const start = item.cut ? item.cut[0] : 0;
+  const end = item.cut ? item.cut[1] : mediaDuration;
+  const sourceDuration = end - start;
+  if (!(sourceDuration > 0)) {
+    throw optionError(`Invalid cut points for ${item.filename}: duration must be positive`, 'cut');
+  }
+
+  const speed = item.speed || 1;
+  const playedDuration = sourceDuration / speed;
+  if (item.reverse && playedDuration > MAX_REVERSE_DURATION) {
+    throw optionError(`Reversed segments can be at most ${MAX_REVERSE_DURATION}s long (${item.filename} plays ${playedDuration}s)`, 'reverse');
+  }
+
+  let freeze = null;
+  if (item.freezeDuration !== undefined) {
+    if (item.freezeAt > playedDuration) {
+      throw optionError(`freezeAt for ${item.filename} is past the end of the segment (${playedDuration}s)`, 'freezeAt');
+    }
+    freeze = { at: item.freezeAt, duration: item.freezeDuration };
+  }
+
+  return {
+    start,
+    sourceDuration,
+    speed,
+    reverse: Boolean(item.reverse),
+    freeze,
+    duration: playedDuration + (freeze ? freeze.duration : 0)
+  };
+}
+
+// Whether a segment plays differently from its cut range
+export const isRetimed = (timing) => timing.speed !== 1 || timing.reverse || Boolean(timing.freeze);
+
+// Split a tempo change into atempo factors within 0.5-2, e.g. 4 -> [2, 2], 0.3 -> [0.5, 0.6]
+export function atempoChain(speed) {
+  const factors = [];
+  let remaining = speed;
+  while (remaining > ATEMPO_MAX) {
+    factors.push(ATEMPO_MAX);
+    remaining /= ATEMPO_MAX;
+  }
+  while (remaining < ATEMPO_MIN) {
+    factors.push(ATEMPO_MIN);
+    remaining /= ATEMPO_MIN;
+  }
+  if (Math.abs(remaining - 1) > 1e-9) {
+    factors.push(Number(remaining.toFixed(6)));
+  }
+  return factors;
+}
+
+// Video filters that retime a segment and conform it to `fps` around
+// `pictureFilter` (scaling and the item's filters). Frames are counted after
+// the conform, which is what lets the freeze frame be held with the
+// single-frame `loop` filter.
+export function videoTimingFilters(timing, { fps, conform = 'nearest', pictureFilter }) {
+  const filters = [];
+  if (timing.speed !== 1) {
+    filters.push(`setpts=(PTS-STARTPTS)/${timing.speed}`);
+  }
+  filters.push(conform === 'blend' ? `framerate=fps=${fps}` : `fps=${fps}`);
+  // Reverse after scaling so the buffered frames are output-sized
+  filters.push(pictureFilter, 'setsar=1');
+  if (timing.reverse) {
+    filters.push('reverse');
+  }
+  if (timing.freeze) {
+    const { at, duration } = timing.freeze;
+    if (at >= timing.sourceDuration / timing.speed - 1 / fps) {
+      // Freezing on the last frame: there's no later frame for loop to find
+      filters.push(`tpad=stop_mode=clone:stop_duration=${duration}`);
+    } else {
+      const count = Math.max(1, Math.round(duration * fps));
+      filters.push(`loop=loop=${count}:size=1:start=${Math.round(at * fps)}`, `setpts=N/(${fps}*TB)`);
+    }
+  }
+  return filters;
+}
+
+// Audio filters matching videoTimingFilters, as a filter graph from `input`
+// to `output`: reversed, tempo-changed without changing pitch, and silent
+// for the length of the freeze frame.
+export function audioTimingGraph(timing, { input, output, prefix }) {
+  const filters = [];
+  if (timing.reverse) {
+    filters.push('areverse');
+  }
+  filters.push(...atempoChain(timing.speed).map(factor => `atempo=${factor}`));
+  const chain = filters.length ? filters.join(',') : 'anull';
+
+  if (!timing.freeze) {
+    return [`${input}${chain}${output}`];
+  }
+
+  const { at, duration } = timing.freeze;
+  const delayMs = Math.round(duration * 1000);
+  if (at === 0) {
+    return [`${input}${chain},adelay=${delayMs}|${delayMs}${output}`];
+  }
+  // Split at the freeze point and delay the second part by the freeze length
+  return [
+    `${input}${chain},asplit[${prefix}h][${prefix}t]`,
+    `[${prefix}h]atrim=end=${at}[${prefix}hp]`,
+    `[${prefix}t]atrim=start=${at},asetpts=PTS-STARTPTS,adelay=${delayMs}|${delayMs}[${prefix}tp]`,
+    `[${prefix}hp][${prefix}tp]concat=n=2:v=0:a=1${output}`
+  ];
+}
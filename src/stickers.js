@@ -0,0 +1,134 @@
+import path from "path";
+import fs from "fs-extra";
+
+// Sticker items: artwork with transparency composited over the finished base
+// video – animated GIF/APNG, transparent stills, PNG frame sequences and
+// video with an alpha channel (ProRes 4444 .mov, VP8/VP9 WebM). Animated WebP
+// is accepted where the FFmpeg build can decode it; older builds only read
+// still WebP.
+//
+// A PNG sequence is referenced by a printf-style pattern over uploaded
+// frames, e.g. "confetti_%03d.png" for confetti_001.png, confetti_002.png, ...
+
+export const DEFAULT_SEQUENCE_FRAME_RATE = 25;
+export const MAX_STICKER_SCALE = 10;
+
+// One %d or %0Nd placeholder and no other % signs
+const SEQUENCE_PATTERN = /^([^%]*)%(?:0(\d+))?d([^%]*)$/;
+
+const STILL_EXTENSIONS = ['.png', '.webp', '.jpg', '.jpeg', '.bmp', '.tif', '.tiff'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const isSequencePattern = (filename) => typeof filename === 'string' && SEQUENCE_PATTERN.test(filename);
+
+// How a sticker file is read: sequence, gif, apng, still or video. `stream`
+// is the file's probed video stream, so an APNG saved as .png is still read
+// as an animation; `animated` marks a WebP with more than one frame, which
+// is decoded like a video.
+export function stickerKind(filename, stream, { animated = false } = {}) {
+  if (isSequencePattern(filename)) return 'sequence';
+  const codec = stream && stream.codec_name;
+  const extension = path.extname(filename).toLowerCase();
+  if (codec === 'gif' || (!codec && extension === '.gif')) return 'gif';
+  if (codec === 'apng' || (!codec && extension === '.apng')) return 'apng';
+  if (codec === 'webp') return animated ? 'video' : 'still';
+  if (STILL_EXTENSIONS.includes(extension)) return 'still';
+  return 'video';
+}
+
+// Whether a WebP file's extended header (VP8X) sets the animation flag
+export async function hasWebpAnimationFlag(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(21);
+    const { bytesRead } = await fs.read(handle, header, 0, header.length, 0);
+    return bytesRead === header.length &&
+      header.toString('ascii', 0, 4) === 'RIFF' &&
+      header.toString('ascii', 8, 16) === 'WEBPVP8X' &&
+      (header[20] & 0x02) !== 0;
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+// Frames of `pattern` among upload `names`: { frames (in order), startNumber }.
+// Throws when none match or numbers are missing in between.
+export function sequenceFrames(pattern, names) {
+  const [, prefix, width, suffix] = SEQUENCE_PATTERN.exec(pattern);
+  const digits = width ? `\\d{${Number(width)},}` : '\\d+';
+  const matcher = new RegExp(`^${escapeRegExp(prefix)}(${digits})${escapeRegExp(suffix)}$`);
+
+  const numbered = names
+    .map(name => ({ name, match: matcher.exec(name) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ name: entry.name, number: parseInt(entry.match[1], 10) }))
+    .sort((a, b) => a.number - b.number);
+  if (numbered.length === 0) {
+    throw new Error(`No uploaded frames match ${pattern}`);
+  }
+  numbered.forEach((entry, index) => {
+    if (entry.number !== numbered[0].number + index) {
+      throw new Error(`Frame ${numbered[0].number + index} of ${pattern} is missing`);
+    }
+  });
+  return { frames: numbered.map(entry => entry.name), startNumber: numbered[0].number };
+}
+
+// Check the sticker options that don't depend on the file. Throws on invalid values.
+export function checkStickerOptions(item) {
+  const name = item.filename;
+  if (item.loop !== undefined && typeof item.loop !== 'boolean') {
+    throw new Error(`Invalid loop for sticker ${name}: must be true or false`);
+  }
+  if (item.scale !== undefined && !(typeof item.scale === 'number' && item.scale > 0 && item.scale <= MAX_STICKER_SCALE)) {
+    throw new Error(`Invalid scale for sticker ${name}: must be above 0 and at most ${MAX_STICKER_SCALE}`);
+  }
+  if (item.scale !== undefined && (item.width !== undefined || item.height !== undefined)) {
+    throw new Error(`Sticker ${name} takes either scale or width/height`);
+  }
+  if (item.frameRate !== undefined) {
+    if (!isSequencePattern(name)) {
+      throw new Error(`frameRate only applies to PNG sequences (sticker ${name})`);
+    }
+    if (!(typeof item.frameRate === 'number' && item.frameRate > 0 && item.frameRate <= 120)) {
+      throw new Error(`Invalid frameRate for sticker ${name}: must be between 1 and 120`);
+    }
+  }
+}
+
+// Input options reading a sticker for `duration` seconds, looped if asked.
+// `alphaDecoder` forces a decoder that keeps the alpha channel (VP8/VP9).
+export function stickerInputOptions(kind, { duration, loop, fps, frameRate, startNumber, alphaDecoder }) {
+  const options = [];
+  switch (kind) {
+    case 'sequence':
+      options.push('-f', 'image2', '-framerate', String(frameRate), '-start_number', String(startNumber));
+      if (loop) options.push('-loop', '1');
+      break;
+    case 'still':
+      options.push('-framerate', String(fps), '-loop', '1');
+      break;
+    case 'gif':
+    case 'apng':
+      // Play the animation's own loop instead of stopping after one pass
+      if (kind === 'apng') options.push('-f', 'apng');
+      if (loop) options.push('-ignore_loop', '0');
+      break;
+    default:
+      if (loop) options.push('-stream_loop', '-1');
+      if (alphaDecoder) options.push('-c:v', alphaDecoder);
+  }
+  options.push('-t', String(duration));
+  return options;
+}
+
+// Decoder that keeps the alpha channel of a probed video stream, or null.
+// FFmpeg's native VP8/VP9 decoders drop WebM alpha; libvpx keeps it.
+export function alphaDecoderFor(stream) {
+  const hasAlpha = stream && stream.tags && String(stream.tags.alpha_mode || stream.tags.ALPHA_MODE) === '1';
+  if (!hasAlpha) return null;
+  if (stream.codec_name === 'vp9') return 'libvpx-vp9';
+  if (stream.codec_name === 'vp8') return 'libvpx';
+  return null;
+}
@@ -0,0 +1,489 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import path from "path";
+import { Readable } from "stream";
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// Storage for uploads and outputs. Every file is addressed by a key such as
+// `uploads/<keyId>/clip.mp4`; keys are validated here so no caller can build
+// a path outside the storage root.
+//
+// Backends share one interface (all methods async unless noted):
+//   stat(key)              -> { size, modified } or null
+//   exists(key)            -> boolean
+//   list(prefix)           -> [{ name, key, size, modified }] directly under `prefix/`
+//   put(key, filePath)     -> moves a local file into storage
+//   fetch(key)             -> local path of the file (S3 downloads it to a cache first)
+//   open(key)              -> readable stream
+//   remove(key)
+//   stagingDir(prefix)     -> (sync) directory to write new files for `prefix/` in before `put`
+//   signedUrl(key, opts)   -> URL that downloads the file until it expires
+//   localPath(key)         -> (sync) path on disk; local backend only
+//   cachedFiles()          -> [{ key, size, lastUsed }] local copies of remote files
+//   evictCached(key)       -> drops the local copy of a remote file
+
+const MAX_SEGMENT_LENGTH = 255;
+const MAX_KEY_LENGTH = 1024;
+// NUL and other control characters are never valid in names
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+// A single path segment: a file name without directories
+export const isValidName = (name) =>
+  typeof name === "string" && name.length > 0 && name.length <= MAX_SEGMENT_LENGTH &&
+  name !== "." && name !== ".." && !/[/\\]/.test(name) && !CONTROL_CHARACTERS.test(name);
+
+// Validate a storage key and return it in normal form (no leading, trailing
+// or repeated slashes). Throws on `..`, backslashes or control characters.
+export function normalizeKey(key) {
+  if (typeof key !== "string") {
+    throw new Error("Invalid storage key");
+  }
+  const segments = key.split("/").filter(segment => segment !== "");
+  if (segments.length === 0 || key.length > MAX_KEY_LENGTH || !segments.every(isValidName)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return segments.join("/");
+}
+
+// Signature of a local signed URL
+const signLocal = (secret, key, expires) =>
+  crypto.createHmac("sha256", secret).update(`${key}\n${expires}`).digest("hex");
+
+const encodeKeyPath = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+// Local disk backend rooted at `root`. Signed URLs point at `/files/<key>` on
+// this server and are checked with `verifySignedUrl`.
+export function createLocalStorage({ root, signingSecret }) {
+  const rootDir = path.resolve(root);
+
+  const localPath = (key) => {
+    const filePath = path.join(rootDir, ...normalizeKey(key).split("/"));
+    // normalizeKey already rules out `..`; this guards against future changes
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.stat(localPath(key));
+      return stats.isFile() ? { size: stats.size, modified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+      throw error;
+    }
+  };
+
+  return {
+    type: "local",
+    localPath,
+    stat,
+
+    async exists(key) {
+      return (await stat(key)) !== null;
+    },
+
+    async list(prefix) {
+      const dir = localPath(prefix);
+      if (!(await fs.pathExists(dir))) return [];
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const files = [];
+      for (const entry of entries.filter(candidate => candidate.isFile())) {
+        const stats = await fs.stat(path.join(dir, entry.name));
+        files.push({ name: entry.name, key: `${normalizeKey(prefix)}/${entry.name}`, size: stats.size, modified: stats.mtime });
+      }
+      return files;
+    },
+
+    async put(key, filePath) {
+      const destination = localPath(key);
+      if (path.resolve(filePath) === destination) return;
+      await fs.move(filePath, destination, { overwrite: true });
+    },
+
+    async fetch(key) {
+      if (!(await stat(key))) {
+        throw new Error(`File not found: ${key}`);
+      }
+      return localPath(key);
+    },
+
+    async open(key) {
+      return fs.createReadStream(await this.fetch(key));
+    },
+
+    async remove(key) {
+      await fs.remove(localPath(key));
+    },
+
+    // New files are written in place
+    stagingDir(prefix) {
+      const dir = localPath(prefix);
+      fs.ensureDirSync(dir);
+      return dir;
+    },
+
+    async signedUrl(key, { expiresIn = 3600, baseUrl }) {
+      const normalized = normalizeKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signLocal(signingSecret, normalized, expires);
+      return `${baseUrl}/files/${encodeKeyPath(normalized)}?expires=${expires}&signature=${signature}`;
+    },
+
+    // Files are used in place, so nothing is ever cached
+    async cachedFiles() {
+      return [];
+    },
+
+    async evictCached() {},
+
+    // True when `signature` is valid for `key` and hasn't expired
+    verifySignedUrl(key, expires, signature) {
+      const expiry = parseInt(expires, 10);
+      if (!Number.isFinite(expiry) || expiry < Date.now() / 1000 || typeof signature !== "string") {
+        return false;
+      }
+      const expected = Buffer.from(signLocal(signingSecret, normalizeKey(key), expiry));
+      const presented = Buffer.from(signature);
+      return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    }
+  };
+}
+
+// --- S3-compatible backend (AWS Signature Version 4, no SDK) ---
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const amzDates = (date = new Date()) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+const canonicalQueryString = (query) => Object.keys(query)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+  .join("&");
+
+// Unescape the few XML entities S3 uses
+const xmlText = (value) => value
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+
+// S3 takes at most 5GB in one PUT; larger files go up in parts. Parts must
+// be 5MB-5GB and an upload may have at most 10,000 of them.
+const MULTIPART_THRESHOLD = 100 * 1024 * 1024;
+const MIN_PART_SIZE = 64 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+const xmlTags = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map(match => match[1]);
+
+// S3 or any S3-compatible service (MinIO, R2, ...). Files needed on disk
+// (FFmpeg inputs) are downloaded to `cacheDir`; new outputs are staged there
+// and uploaded on `put`.
+export function createS3Storage({ endpoint, bucket, region = "us-east-1", accessKeyId, secretAccessKey, forcePathStyle = true, cacheDir }) {
+  const base = new URL(endpoint);
+  const transport = base.protocol === "https:" ? https : http;
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const cachePath = (key) => path.join(cacheDir, "objects", ...normalizeKey(key).split("/"));
+
+  const objectPath = (key) => {
+    const encoded = key === "" ? "" : key.split("/").map(encodeRfc3986).join("/");
+    return forcePathStyle ? `/${bucket}/${encoded}` : `/${encoded}`;
+  };
+
+  const signingKey = (dateStamp) =>
+    hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), "s3"), "aws4_request");
+
+  const sign = (stringToSign, dateStamp) => crypto
+    .createHmac("sha256", signingKey(dateStamp))
+    .update(stringToSign)
+    .digest("hex");
+
+  // Signed request; resolves with the response (body not consumed)
+  const request = (method, key, { query = {}, headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const { amzDate, dateStamp } = amzDates();
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const signedHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+      host,
+      "x-amz-content-sha256": "UNSIGNED-PAYLOAD",
+      "x-amz-date": amzDate
+    };
+    const headerNames = Object.keys(signedHeaders).sort();
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      canonicalQueryString(query),
+      headerNames.map(name => `${name}:${signedHeaders[name].trim()}\n`).join(""),
+      headerNames.join(";"),
+      "UNSIGNED-PAYLOAD"
+    ].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${headerNames.join(";")}, Signature=${sign(stringToSign, dateStamp)}`;
+
+    const queryString = canonicalQueryString(query);
+    const req = transport.request({
+      protocol: base.protocol,
+      hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+      port: base.port || undefined,
+      method,
+      path: objectPath(key) + (queryString ? `?${queryString}` : ""),
+      headers: { ...signedHeaders, authorization }
+    }, resolve);
+    req.on("error", reject);
+    if (body) {
+      body.on("error", reject);
+      body.pipe(req);
+    } else {
+      req.end();
+    }
+  });
+
+  const readBody = async (response) => {
+    const chunks = [];
+    for await (const chunk of response) chunks.push(chunk);
+    return Buffer.concat(chunks).toString("utf8");
+  };
+
+  // Throw with S3's error code for a non-2xx response
+  const ensureOk = async (response, method, key) => {
+    if (response.statusCode >= 200 && response.statusCode < 300) return response;
+    const body = await readBody(response);
+    const code = xmlTags(body, "Code")[0] || response.statusCode;
+    throw new Error(`S3 ${method} ${key} failed: ${code}`);
+  };
+
+  const stat = async (key) => {
+    const normalized = normalizeKey(key);
+    const response = await request("HEAD", normalized);
+    response.resume();
+    if (response.statusCode === 404) return null;
+    await ensureOk(response, "HEAD", normalized);
+    return {
+      size: parseInt(response.headers["content-length"], 10),
+      modified: new Date(response.headers["last-modified"])
+    };
+  };
+
+  const open = async (key) => {
+    const normalized = normalizeKey(key);
+    const response = await request("GET", normalized);
+    if (response.statusCode === 404) {
+      response.resume();
+      throw new Error(`File not found: ${key}`);
+    }
+    return ensureOk(response, "GET", normalized);
+  };
+
+  // Upload a large file in parts. A failed upload is aborted so S3 doesn't
+  // keep (and bill for) the parts already sent.
+  const putMultipart = async (key, filePath, size) => {
+    const created = await ensureOk(await request("POST", key, { query: { uploads: "" } }), "POST", key);
+    const uploadId = xmlText(xmlTags(await readBody(created), "UploadId")[0]);
+    const partSize = Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+
+    try {
+      const etags = [];
+      for (let start = 0, partNumber = 1; start < size; start += partSize, partNumber++) {
+        const end = Math.min(start + partSize, size);
+        const response = await request("PUT", key, {
+          query: { partNumber, uploadId },
+          headers: { "content-length": end - start },
+          body: fs.createReadStream(filePath, { start, end: end - 1 })
+        });
+        response.resume();
+        await ensureOk(response, "PUT", key);
+        etags.push(response.headers.etag);
+      }
+
+      const xml = "<CompleteMultipartUpload>" +
+        etags.map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`).join("") +
+        "</CompleteMultipartUpload>";
+      const completed = await ensureOk(await request("POST", key, {
+        query: { uploadId },
+        headers: { "content-length": Buffer.byteLength(xml), "content-type": "application/xml" },
+        body: Readable.from([xml])
+      }), "POST", key);
+      // Completion can fail after the 200 has been sent
+      const result = await readBody(completed);
+      if (xmlTags(result, "Code").length > 0) {
+        throw new Error(`S3 POST ${key} failed: ${xmlTags(result, "Code")[0]}`);
+      }
+    } catch (error) {
+      const aborted = await request("DELETE", key, { query: { uploadId } }).catch(() => null);
+      if (aborted) aborted.resume();
+      throw error;
+    }
+  };
+
+  return {
+    type: "s3",
+    stat,
+    open,
+
+    async exists(key) {
+      return (await stat(key)) !== null;
+    },
+
+    async list(prefix) {
+      const listPrefix = `${normalizeKey(prefix)}/`;
+      const files = [];
+      let continuationToken;
+      do {
+        const query = { "list-type": "2", prefix: listPrefix, delimiter: "/" };
+        if (continuationToken) query["continuation-token"] = continuationToken;
+        const response = await ensureOk(await request("GET", "", { query }), "LIST", listPrefix);
+        const xml = await readBody(response);
+        for (const contents of xmlTags(xml, "Contents")) {
+          const key = xmlText(xmlTags(contents, "Key")[0]);
+          files.push({
+            name: key.slice(listPrefix.length),
+            key,
+            size: parseInt(xmlTags(contents, "Size")[0], 10),
+            modified: new Date(xmlTags(contents, "LastModified")[0])
+          });
+        }
+        continuationToken = xmlTags(xml, "IsTruncated")[0] === "true"
+          ? xmlText(xmlTags(xml, "NextContinuationToken")[0])
+          : undefined;
+      } while (continuationToken);
+      return files;
+    },
+
+    async put(key, filePath) {
+      const normalized = normalizeKey(key);
+      const { size } = await fs.stat(filePath);
+      if (size > MULTIPART_THRESHOLD) {
+        await putMultipart(normalized, filePath, size);
+      } else {
+        const response = await request("PUT", normalized, {
+          headers: { "content-length": size },
+          body: fs.createReadStream(filePath)
+        });
+        response.resume();
+        await ensureOk(response, "PUT", normalized);
+      }
+      await fs.remove(filePath);
+      await fs.remove(cachePath(normalized));
+    },
+
+    // Download to the cache unless an up-to-date copy is already there
+    async fetch(key) {
+      const normalized = normalizeKey(key);
+      const remote = await stat(normalized);
+      if (!remote) {
+        throw new Error(`File not found: ${key}`);
+      }
+      const localFile = cachePath(normalized);
+      try {
+        const cached = await fs.stat(localFile);
+        if (cached.size === remote.size && cached.mtime >= remote.modified) {
+          // The modification time doubles as the last use for cache eviction
+          const now = new Date();
+          await fs.utimes(localFile, now, now);
+          return localFile;
+        }
+      } catch (error) {
+        // Not cached yet
+      }
+
+      await fs.ensureDir(path.dirname(localFile));
+      const tmpFile = `${localFile}.${uuidv4()}.part`;
+      try {
+        const response = await open(normalized);
+        await new Promise((resolve, reject) => {
+          const file = fs.createWriteStream(tmpFile);
+          response.on("error", reject);
+          file.on("error", reject);
+          file.on("finish", resolve);
+          response.pipe(file);
+        });
+        await fs.move(tmpFile, localFile, { overwrite: true });
+      } finally {
+        await fs.remove(tmpFile);
+      }
+      return localFile;
+    },
+
+    async remove(key) {
+      const normalized = normalizeKey(key);
+      const response = await request("DELETE", normalized);
+      response.resume();
+      if (response.statusCode !== 404) {
+        await ensureOk(response, "DELETE", normalized);
+      }
+      await fs.remove(cachePath(normalized));
+    },
+
+    // Downloaded copies, for the retention sweeper to expire and evict
+    async cachedFiles() {
+      const objectsDir = path.join(cacheDir, "objects");
+      const files = [];
+      const walk = async (dir) => {
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile() && !entry.name.endsWith(".part")) {
+            const stats = await fs.stat(entryPath);
+            files.push({
+              key: path.relative(objectsDir, entryPath).split(path.sep).join("/"),
+              size: stats.size,
+              lastUsed: stats.mtime.getTime()
+            });
+          }
+        }
+      };
+      await walk(objectsDir);
+      return files;
+    },
+
+    async evictCached(key) {
+      await fs.remove(cachePath(key));
+    },
+
+    stagingDir(prefix) {
+      const dir = path.join(cacheDir, "staging", ...normalizeKey(prefix).split("/"));
+      fs.ensureDirSync(dir);
+      return dir;
+    },
+
+    // Presigned GET URL (at most 7 days, the SigV4 limit)
+    async signedUrl(key, { expiresIn = 3600, filename } = {}) {
+      const normalized = normalizeKey(key);
+      const { amzDate, dateStamp } = amzDates();
+      const scope = `${dateStamp}/${region}/s3/aws4_request`;
+      const query = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${accessKeyId}/${scope}`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(Math.min(expiresIn, 604800)),
+        "X-Amz-SignedHeaders": "host"
+      };
+      if (filename) {
+        query["response-content-disposition"] = `attachment; filename="${filename.replace(/"/g, "")}"`;
+      }
+      const canonicalRequest = [
+        "GET",
+        objectPath(normalized),
+        canonicalQueryString(query),
+        `host:${host}\n`,
+        "host",
+        "UNSIGNED-PAYLOAD"
+      ].join("\n");
+      const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+      const signature = sign(stringToSign, dateStamp);
+      const origin = forcePathStyle ? base.origin : `${base.protocol}//${host}`;
+      return `${origin}${objectPath(normalized)}?${canonicalQueryString(query)}&X-Amz-Signature=${signature}`;
+    }
+  };
+}
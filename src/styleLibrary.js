@@ -0,0 +1,198 @@
+import path from "path";
+import fs from "fs-extra";
+import { TEXT_STYLES, TEXT_ALIGNMENTS, FALLBACK_FONTS } from "./textStyles.js";
+import { loadFontMetrics } from "./fontMetrics.js";
+
+export const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// Fonts the built-in presets and fallbacks depend on (fetched by scripts/download-fonts.js)
+const BUILT_IN_FONTS = [...new Set([
+  ...Object.values(TEXT_STYLES).map(style => style.fontFile),
+  ...FALLBACK_FONTS
+].map(file => path.parse(file).name))];
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+// Named colours, #RRGGBB or 0xRRGGBB, each with an optional @alpha
+const COLOR_PATTERN = /^(?:[a-zA-Z]+|(?:#|0x)[0-9a-fA-F]{6})(?:@(?:0(?:\.\d+)?|1(?:\.0+)?))?$/;
+
+// TrueType (0x00010000 or "true") and OpenType/CFF ("OTTO") signatures
+const FONT_SIGNATURES = ['00010000', '74727565', '4f54544f'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Validate a style preset definition. Returns an error message, or null if valid.
+export function validateStyleDefinition(definition, { hasFont }) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'Style must be an object';
+  }
+
+  const checks = {
+    font: (value) => typeof value === 'string' && hasFont(value) ? null : `Unknown font: ${value}`,
+    fontSize: (value) => isNumber(value) && value > 0 ? null : 'fontSize must be a positive number',
+    fontColor: (value) => COLOR_PATTERN.test(value) ? null : `Invalid fontColor: ${value}`,
+    borderColor: (value) => COLOR_PATTERN.test(value) ? null : `Invalid borderColor: ${value}`,
+    borderWidth: (value) => isNumber(value) && value >= 0 ? null : 'borderWidth must be a number >= 0',
+    shadowColor: (value) => COLOR_PATTERN.test(value) ? null : `Invalid shadowColor: ${value}`,
+    shadowX: (value) => isNumber(value) ? null : 'shadowX must be a number',
+    shadowY: (value) => isNumber(value) ? null : 'shadowY must be a number',
+    boxColor: (value) => COLOR_PATTERN.test(value) ? null : `Invalid boxColor: ${value}`,
+    boxBorderWidth: (value) => isNumber(value) && value >= 0 ? null : 'boxBorderWidth must be a number >= 0',
+    lineSpacing: (value) => isNumber(value) ? null : 'lineSpacing must be a number',
+    textAlign: (value) => TEXT_ALIGNMENTS.includes(value) ? null : `textAlign must be one of: ${TEXT_ALIGNMENTS.join(', ')}`
+  };
+
+  for (const [field, value] of Object.entries(definition)) {
+    if (!checks[field]) {
+      return `Unknown style property: ${field}`;
+    }
+    const error = checks[field](value);
+    if (error) return error;
+  }
+  if (!definition.font) {
+    return 'font is required';
+  }
+  return null;
+}
+
+// Uploaded fonts and user-defined text style presets. Fonts live next to the
+// built-in Roboto files in `fontDir` (so drawtext and libass find them);
+// presets are persisted to `storePath` and referenced by name from text items.
+export function createStyleLibrary({ fontDir, storePath }) {
+  fs.ensureDirSync(fontDir);
+  let styles = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      styles = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error('Failed to read style presets, starting empty:', error);
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, styles, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  // Font name (file name without extension) -> file name
+  const fontFiles = () => {
+    const files = {};
+    for (const file of fs.readdirSync(fontDir)) {
+      if (FONT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        files[path.parse(file).name] = file;
+      }
+    }
+    return files;
+  };
+
+  const hasFont = (name) => Boolean(fontFiles()[name]);
+
+  // Family name from the font's own name table – what subtitles refer to it by
+  const fontFamily = (file) => {
+    const metrics = loadFontMetrics(path.join(fontDir, file));
+    return metrics ? metrics.familyName : null;
+  };
+
+  // Built-in presets first, then user presets
+  const listStyles = () => {
+    const builtIns = Object.entries(TEXT_STYLES).map(([name, { fontFile, ...style }]) => ({
+      name,
+      builtIn: true,
+      font: path.parse(fontFile).name,
+      ...style
+    }));
+    const custom = Object.entries(styles).map(([name, style]) => ({ name, builtIn: false, ...style }));
+    return [...builtIns, ...custom];
+  };
+
+  // Expand a stored preset into the shape generateDrawTextFilter expects
+  const resolve = (definition) => {
+    const { font, ...style } = definition;
+    return { ...style, fontFile: path.join(fontDir, fontFiles()[font]) };
+  };
+
+  return {
+    isValidName: (name) => NAME_PATTERN.test(name),
+
+    hasFont,
+
+    listFonts() {
+      return Object.entries(fontFiles())
+        .map(([name, file]) => ({
+          name,
+          filename: file,
+          family: fontFamily(file),
+          size: fs.statSync(path.join(fontDir, file)).size,
+          builtIn: BUILT_IN_FONTS.includes(name)
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // Move an uploaded file into the font directory. Throws if it isn't a TTF/OTF font.
+    addFont(name, filePath, originalName) {
+      const extension = path.extname(originalName).toLowerCase();
+      if (!FONT_EXTENSIONS.includes(extension)) {
+        throw new Error(`Fonts must be ${FONT_EXTENSIONS.join(' or ')} files`);
+      }
+      const handle = fs.openSync(filePath, 'r');
+      const header = Buffer.alloc(4);
+      fs.readSync(handle, header, 0, 4, 0);
+      fs.closeSync(handle);
+      if (!FONT_SIGNATURES.includes(header.toString('hex'))) {
+        throw new Error('File is not a TrueType or OpenType font');
+      }
+
+      const filename = `${name}${extension}`;
+      fs.moveSync(filePath, path.join(fontDir, filename));
+      return { name, filename, family: fontFamily(filename), size: fs.statSync(path.join(fontDir, filename)).size, builtIn: false };
+    },
+
+    isBuiltInFont: (name) => BUILT_IN_FONTS.includes(name),
+
+    // Presets that reference a font
+    stylesUsingFont(name) {
+      return Object.keys(styles).filter(styleName => styles[styleName].font === name);
+    },
+
+    removeFont(name) {
+      fs.removeSync(path.join(fontDir, fontFiles()[name]));
+    },
+
+    listStyles,
+
+    getStyle(name) {
+      return listStyles().find(style => style.name === name) || null;
+    },
+
+    isBuiltInStyle: (name) => Boolean(TEXT_STYLES[name]),
+
+    hasStyle: (name) => Boolean(TEXT_STYLES[name] || styles[name]),
+
+    styleNames: () => [...Object.keys(TEXT_STYLES), ...Object.keys(styles)],
+
+    validateStyle: (definition) => validateStyleDefinition(definition, { hasFont }),
+
+    saveStyle(name, definition) {
+      styles[name] = definition;
+      persist();
+      return { name, builtIn: false, ...definition };
+    },
+
+    removeStyle(name) {
+      delete styles[name];
+      persist();
+    },
+
+    // Snapshot the user presets a render refers to, so later edits to a
+    // preset don't change queued jobs. Built-ins are resolved at render time.
+    resolveStyles(names) {
+      const snapshot = {};
+      for (const name of names) {
+        if (styles[name] && !TEXT_STYLES[name]) {
+          snapshot[name] = resolve(styles[name]);
+        }
+      }
+      return snapshot;
+    }
+  };
+}
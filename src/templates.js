@@ -0,0 +1,184 @@
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// Render templates: a render request with {{placeholders}} in any string
+// field (text, filename, timing...) filled in from one row of variables.
+
+const PLACEHOLDER_PATTERN = /{{\s*([A-Za-z_][\w.-]*)\s*}}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^{{\s*([A-Za-z_][\w.-]*)\s*}}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Fields that stay strings even when a row value looks like a number
+const STRING_FIELDS = ['text', 'filename', 'content', 'url', 'secret', 'resolution', 'style'];
+
+// Names of all placeholders used in a template, in order of first use
+export function templateVariables(template) {
+  const names = new Set();
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(template);
+  return [...names];
+}
+
+// Fill a template with one row of variables. A field that is exactly one
+// placeholder takes the variable's value as-is, so `"startTime": "{{start}}"`
+// becomes a number; CSV values that look numeric are converted too.
+// Throws listing any variables the row doesn't provide.
+export function applyTemplate(template, variables) {
+  const missing = templateVariables(template).filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(', ')}`);
+  }
+
+  const fill = (value, key) => {
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+      if (whole) {
+        const replacement = variables[whole[1]];
+        if (typeof replacement === 'string' && NUMBER_PATTERN.test(replacement.trim()) && !STRING_FIELDS.includes(key)) {
+          return Number(replacement);
+        }
+        return replacement;
+      }
+      return value.replace(PLACEHOLDER_PATTERN, (match, name) => String(variables[name]));
+    }
+    if (Array.isArray(value)) {
+      // Array elements (e.g. cut points) inherit their parent's key
+      return value.map(element => fill(element, key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, fill(child, childKey)]));
+    }
+    return value;
+  };
+
+  return fill(template, null);
+}
+
+// Parse CSV (RFC 4180: quoted fields, "" escapes, CRLF or LF) with a header
+// row into an array of { column: value } rows. Blank lines are skipped.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('CSV is empty');
+  }
+  const [header, ...rows] = nonEmpty;
+  const columns = header.map(column => column.trim());
+  return rows.map((row, index) => {
+    if (row.length > columns.length) {
+      throw new Error(`CSV row ${index + 1} has more fields than the header`);
+    }
+    return Object.fromEntries(columns.map((column, columnIndex) => [column, row[columnIndex] ?? '']));
+  });
+}
+
+// Persistent template store (JSON file written atomically)
+export function createTemplateStore({ storePath }) {
+  let templates = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      templates = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error('Failed to read templates, starting empty:', error);
+    }
+  }
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, templates, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  return {
+    // Templates of one API key namespace (null without auth)
+    list(owner = null) {
+      return Object.values(templates)
+        .filter(template => (template.owner || null) === owner)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    get(id) {
+      return templates[id] || null;
+    },
+
+    create({ name, template, owner = null }) {
+      const now = Date.now();
+      const record = {
+        id: uuidv4(),
+        name,
+        owner,
+        template,
+        variables: templateVariables(template),
+        createdAt: now,
+        updatedAt: now
+      };
+      templates[record.id] = record;
+      persist();
+      return record;
+    },
+
+    update(id, { name, template }) {
+      const record = {
+        ...templates[id],
+        name: name !== undefined ? name : templates[id].name,
+        template,
+        variables: templateVariables(template),
+        updatedAt: Date.now()
+      };
+      templates[id] = record;
+      persist();
+      return record;
+    },
+
+    remove(id) {
+      delete templates[id];
+      persist();
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// In/out animations for text items, expressed as per-frame drawtext
+// expressions (x, y, alpha, fontsize) evaluated against the output time `t`.
+
+export const TEXT_ANIMATIONS = [
+  'fade',
+  'slide-left',
+  'slide-right',
+  'slide-top',
+  'slide-bottom',
+  'pop',
+  'typewriter'
+];
+
+// Easing curves as FFmpeg expressions of the progress `P` (0 -> 1)
+export const EASINGS = {
+  linear: 'P',
+  'ease-in': 'P*P',
+  'ease-out': '1-pow(1-P,2)',
+  'ease-in-out': 'if(lt(P,0.5),2*P*P,1-pow(2-2*P,2)/2)',
+  // Overshoots slightly before settling – gives "pop" its bounce
+  back: '1+2.70158*pow(P-1,3)+1.70158*pow(P-1,2)'
+};
+
+const DEFAULT_ANIMATION_DURATION = 0.5;
+const DEFAULT_EASINGS = { pop: 'back', typewriter: 'linear' };
+
+// Long texts are typed in chunks so the filter graph stays small
+const MAX_TYPEWRITER_STEPS = 60;
+
+const normalizePhase = (phase, label) => {
+  if (phase === undefined || phase === null) return null;
+  const options = typeof phase === 'string' ? { type: phase } : { ...phase };
+
+  if (!TEXT_ANIMATIONS.includes(options.type)) {
+    throw new Error(`Invalid ${label} animation: ${options.type}. Expected one of: ${TEXT_ANIMATIONS.join(', ')}`);
+  }
+  options.duration = options.duration !== undefined ? Number(options.duration) : DEFAULT_ANIMATION_DURATION;
+  if (!(options.duration > 0)) {
+    throw new Error(`Animation duration must be greater than 0`);
+  }
+  options.easing = options.easing || DEFAULT_EASINGS[options.type] || 'ease-out';
+  if (!EASINGS[options.easing]) {
+    throw new Error(`Invalid easing: ${options.easing}. Expected one of: ${Object.keys(EASINGS).join(', ')}`);
+  }
+  return options;
+};
+
+// Resolve a text item's `animation` ({ in, out }, each an effect name or
+// { type, duration, easing }) into absolute start/end times on the output.
+// In and out are shortened proportionally when they don't both fit.
+export function normalizeTextAnimation(animation, { startTime = 0, duration = 5 } = {}) {
+  if (animation === undefined || animation === null) return null;
+  if (typeof animation !== 'object' || Array.isArray(animation)) {
+    throw new Error('Text animation must be an object with "in" and/or "out"');
+  }
+
+  const phaseIn = normalizePhase(animation.in, 'in');
+  const phaseOut = normalizePhase(animation.out, 'out');
+  if (!phaseIn && !phaseOut) return null;
+
+  const total = (phaseIn ? phaseIn.duration : 0) + (phaseOut ? phaseOut.duration : 0);
+  const scale = total > duration ? duration / total : 1;
+  const end = startTime + duration;
+
+  if (phaseIn) {
+    phaseIn.duration *= scale;
+    phaseIn.start = startTime;
+    phaseIn.end = startTime + phaseIn.duration;
+  }
+  if (phaseOut) {
+    phaseOut.duration *= scale;
+    phaseOut.start = end - phaseOut.duration;
+    phaseOut.end = end;
+  }
+
+  return { in: phaseIn, out: phaseOut, start: startTime, end };
+}
+
+// Eased progress of a phase: 0 -> 1 while entering, 1 -> 0 while leaving
+const easedProgress = (phase, direction) => {
+  const progress = direction === 'in'
+    ? `clip((t-${phase.start})/${phase.duration},0,1)`
+    : `clip((${phase.end}-t)/${phase.duration},0,1)`;
+  return `(${EASINGS[phase.easing].replace(/P/g, progress)})`;
+};
+
+// Per-frame x/y/alpha/fontsize expressions for a text item, animated or not.
+// `x` and `y` are the resting position (a TEXT_POSITIONS preset or custom
+// expressions); slides start or end just past the named frame edge. When the
+// text is drawn as several pieces, `textWidth`/`textHeight` give the size of the
+// whole block and stand in for drawtext's text_w/text_h. `scale` is the pop
+// factor, for offsetting pieces within the block.
+export function buildTextAnimationExpressions(animation, {
+  x,
+  y,
+  fontSize,
+  opacity = 1,
+  textWidth = 'text_w',
+  textHeight = 'text_h'
+}) {
+  const expressions = { x: '', y: '', alpha: String(opacity), fontSize: String(fontSize), scale: '1' };
+
+  for (const direction of ['in', 'out']) {
+    const phase = animation && animation[direction];
+    if (!phase || phase.type !== 'pop') continue;
+    expressions.scale += `*${easedProgress(phase, direction)}`;
+    expressions.fontSize = `max(1,${expressions.fontSize}*${easedProgress(phase, direction)})`;
+  }
+
+  // A popping block grows around the same anchor a single drawtext would
+  const blockWidth = textWidth === 'text_w' ? textWidth : `(${textWidth}*${expressions.scale})`;
+  const blockHeight = textHeight === 'text_h' ? textHeight : `(${textHeight}*${expressions.scale})`;
+  const restX = textWidth === 'text_w' ? String(x) : String(x).replace(/text_w/g, blockWidth);
+  const restY = textHeight === 'text_h' ? String(y) : String(y).replace(/text_h/g, blockHeight);
+  expressions.x = `(${restX})`;
+  expressions.y = `(${restY})`;
+
+  for (const direction of ['in', 'out']) {
+    const phase = animation && animation[direction];
+    if (!phase) continue;
+    const eased = easedProgress(phase, direction);
+    const remaining = `(1-${eased})`;
+
+    switch (phase.type) {
+      case 'fade':
+        expressions.alpha += `*${eased}`;
+        break;
+      case 'slide-left':
+        expressions.x += `-${remaining}*((${restX})+${blockWidth})`;
+        break;
+      case 'slide-right':
+        expressions.x += `+${remaining}*(w-(${restX}))`;
+        break;
+      case 'slide-top':
+        expressions.y += `-${remaining}*((${restY})+${blockHeight})`;
+        break;
+      case 'slide-bottom':
+        expressions.y += `+${remaining}*(h-(${restY}))`;
+        break;
+      // pop is applied above; typewriter is handled by typewriterSteps
+    }
+  }
+
+  return expressions;
+}
+
+// Split a typewriter-animated text into [{ text, start, end }] steps: prefixes
+// grow during the "in" phase and shrink during the "out" phase.
+export function typewriterSteps(text, animation) {
+  const characters = Array.from(text);
+  const stepCount = Math.min(characters.length, MAX_TYPEWRITER_STEPS);
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+  const prefix = (step) => characters.slice(0, Math.round((characters.length * step) / stepCount)).join('');
+
+  const typeIn = animation.in && animation.in.type === 'typewriter' ? animation.in : null;
+  const typeOut = animation.out && animation.out.type === 'typewriter' ? animation.out : null;
+  const steps = [];
+
+  const fullStart = typeIn ? typeIn.start + (typeIn.duration * (stepCount - 1)) / stepCount : animation.start;
+  const fullEnd = typeOut ? typeOut.start + typeOut.duration / stepCount : animation.end;
+
+  if (typeIn) {
+    for (let step = 1; step < stepCount; step++) {
+      steps.push({
+        text: prefix(step),
+        start: typeIn.start + (typeIn.duration * (step - 1)) / stepCount,
+        end: typeIn.start + (typeIn.duration * step) / stepCount
+      });
+    }
+  }
+  steps.push({ text, start: fullStart, end: fullEnd });
+  if (typeOut) {
+    for (let step = stepCount - 1; step >= 1; step--) {
+      const index = stepCount - step;
+      steps.push({
+        text: prefix(step),
+        start: typeOut.start + (typeOut.duration * index) / stepCount,
+        end: typeOut.start + (typeOut.duration * (index + 1)) / stepCount
+      });
+    }
+  }
+
+  return steps
+    .map(step => ({ ...step, start: round(step.start), end: round(step.end) }))
+    .filter(step => step.text.trim() && step.end > step.start);
+}
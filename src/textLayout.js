@@ -0,0 +1,180 @@
+import { loadFontMetrics } from './fontMetrics.js';
+
+// Line breaking and font fallback for text items. drawtext draws a single font
+// with no width limit, so text that needs wrapping or glyphs from another font
+// is laid out here – with the fonts' real advance widths – and drawn as one
+// drawtext per line and font run.
+
+// Characters that belong to the glyph before them (ZWJ, variation selectors,
+// keycap and skin tone modifiers)
+const isCombining = (codePoint) =>
+  codePoint === 0x200d || codePoint === 0xfe0e || codePoint === 0xfe0f || codePoint === 0x20e3 ||
+  (codePoint >= 0x1f3fb && codePoint <= 0x1f3ff);
+
+// Hebrew, Arabic, Syriac, Thaana, NKo and the Arabic/Hebrew presentation forms
+const isRtl = (codePoint) =>
+  (codePoint >= 0x0590 && codePoint <= 0x08ff) || (codePoint >= 0xfb1d && codePoint <= 0xfdff) ||
+  (codePoint >= 0xfe70 && codePoint <= 0xfeff);
+
+const isStrongLtr = (character) => /\p{L}/u.test(character);
+
+// Pick the font for each character: the style's font when it has the glyph,
+// otherwise the first fallback that does.
+const assignFonts = (text, fonts) => {
+  const characters = [];
+  for (const character of text) {
+    const codePoint = character.codePointAt(0);
+    const previous = characters[characters.length - 1];
+    let font = fonts[0];
+    if (previous && (isCombining(codePoint) || /\s/.test(character))) {
+      font = previous.font;
+    } else if (!fonts[0].metrics.hasGlyph(codePoint)) {
+      font = fonts.find(candidate => candidate.metrics.hasGlyph(codePoint)) || fonts[0];
+    }
+    characters.push({ character, codePoint, font });
+  }
+  return characters;
+};
+
+const widthOf = (characters, fontSize) => characters.reduce(
+  (total, { codePoint, font }) => total + (font.metrics.advance(codePoint) * fontSize) / font.metrics.unitsPerEm,
+  0
+);
+
+const trimSpaces = (characters) => {
+  let start = 0;
+  let end = characters.length;
+  while (start < end && /\s/.test(characters[start].character)) start++;
+  while (end > start && /\s/.test(characters[end - 1].character)) end--;
+  return characters.slice(start, end);
+};
+
+// Greedy word wrap; words wider than the line are broken between characters
+const wrapParagraph = (characters, fontSize, maxWidth) => {
+  if (!maxWidth) return [characters];
+
+  const words = [];
+  let current = [];
+  for (const entry of characters) {
+    const isSpace = /\s/.test(entry.character);
+    if (current.length && isSpace !== /\s/.test(current[current.length - 1].character)) {
+      words.push(current);
+      current = [];
+    }
+    current.push(entry);
+  }
+  if (current.length) words.push(current);
+
+  const lines = [];
+  let line = [];
+  for (const word of words) {
+    if (widthOf(trimSpaces([...line, ...word]), fontSize) <= maxWidth) {
+      line.push(...word);
+      continue;
+    }
+    if (trimSpaces(line).length) {
+      lines.push(line);
+      line = [];
+    }
+    if (/\s/.test(word[0].character)) continue;
+
+    for (const entry of word) {
+      if (line.length && widthOf([...line, entry], fontSize) > maxWidth) {
+        lines.push(line);
+        line = [];
+      }
+      line.push(entry);
+    }
+  }
+  lines.push(line);
+  return lines.map(trimSpaces);
+};
+
+// Split a line into runs of the same font, in visual order
+const buildRuns = (characters, fontSize) => {
+  const runs = [];
+  for (const entry of characters) {
+    const run = runs[runs.length - 1];
+    if (run && run.font === entry.font) {
+      run.characters.push(entry);
+    } else {
+      runs.push({ font: entry.font, characters: [entry] });
+    }
+  }
+
+  // Right-to-left paragraphs read their runs from the right
+  const firstStrong = characters.find(({ character, codePoint }) => isRtl(codePoint) || isStrongLtr(character));
+  if (firstStrong && isRtl(firstStrong.codePoint)) {
+    runs.reverse();
+  }
+
+  let x = 0;
+  return runs.map(run => {
+    const width = widthOf(run.characters, fontSize);
+    const positioned = {
+      text: run.characters.map(entry => entry.character).join(''),
+      fontFile: run.font.file,
+      x,
+      width
+    };
+    x += width;
+    return positioned;
+  });
+};
+
+// True when a text item can't be drawn by a single plain drawtext
+export function needsTextLayout(text, { fontFile, fallbackFonts = [], maxWidth }) {
+  if (maxWidth || /\n/.test(text)) return true;
+  const metrics = loadFontMetrics(fontFile);
+  if (!metrics) return false;
+  return Array.from(text).some(character => {
+    const codePoint = character.codePointAt(0);
+    return !/\s/.test(character) && !isCombining(codePoint) && !metrics.hasGlyph(codePoint) &&
+      fallbackFonts.some(file => {
+        const fallback = loadFontMetrics(file);
+        return fallback && fallback.hasGlyph(codePoint);
+      });
+  });
+}
+
+// Lay out `text` into lines of font runs. Positions are in pixels relative to
+// the block's top-left corner; `baseline` is each line's baseline offset.
+// Returns null if the style's font can't be read.
+export function layoutText(text, { fontFile, fallbackFonts = [], fontSize, maxWidth, lineSpacing = 0, textAlign = 'left' }) {
+  const primary = loadFontMetrics(fontFile);
+  if (!primary) return null;
+
+  const fonts = [
+    { file: fontFile, metrics: primary },
+    ...fallbackFonts
+      .map(file => ({ file, metrics: loadFontMetrics(file) }))
+      .filter(font => font.metrics)
+  ];
+
+  const lines = text
+    .split('\n')
+    .flatMap(paragraph => wrapParagraph(assignFonts(paragraph, fonts), fontSize, maxWidth))
+    .map(characters => {
+      const runs = buildRuns(characters, fontSize);
+      return { runs, width: runs.reduce((total, run) => total + run.width, 0) };
+    });
+
+  const ascent = (primary.ascender * fontSize) / primary.unitsPerEm;
+  const descent = (-primary.descender * fontSize) / primary.unitsPerEm;
+  const lineHeight = ascent + descent + (primary.lineGap * fontSize) / primary.unitsPerEm + lineSpacing;
+  const width = Math.max(0, ...lines.map(line => line.width));
+
+  return {
+    width: Math.round(width),
+    height: Math.round(ascent + descent + (lines.length - 1) * lineHeight),
+    lines: lines.map((line, index) => {
+      const offset = textAlign === 'center' ? (width - line.width) / 2 : textAlign === 'right' ? width - line.width : 0;
+      return {
+        baseline: Math.round(ascent + index * lineHeight),
+        runs: line.runs
+          .filter(run => run.text.trim())
+          .map(run => ({ text: run.text, fontFile: run.fontFile, x: Math.round(offset + run.x) }))
+      };
+    })
+  };
+}
@@ -2,12 +2,13 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { buildTextAnimationExpressions } from './textAnimations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Font paths - you'll need to download and place these fonts in a 'fonts' directory
-const FONT_DIR = path.join(__dirname, '..', 'fonts');
+export const FONT_DIR = path.join(__dirname, '..', 'fonts');
 
 // Create fonts directory if it doesn't exist
 if (!fs.existsSync(FONT_DIR)) {
@@ -54,6 +55,17 @@ export const TEXT_POSITIONS = {
   }
 };
 
+// Horizontal alignment of multi-line text
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Fonts tried, in order, for characters the style's font has no glyph for
+// (right-to-left scripts and emoji). Missing files are skipped.
+export const FALLBACK_FONTS = [
+  path.join(FONT_DIR, 'NotoSansArabic-Regular.ttf'),
+  path.join(FONT_DIR, 'NotoSansHebrew-Regular.ttf'),
+  path.join(FONT_DIR, 'NotoEmoji-Regular.ttf')
+];
+
 // Text style presets
 export const TEXT_STYLES = {
   // Simple white text
@@ -100,106 +112,135 @@ export const TEXT_STYLES = {
   }
 };
 
-// Helper function to parse SRT time format to seconds
-export function srtTimeToSeconds(timeString) {
-  const [hours, minutes, seconds] = timeString.split(':');
-  const [secs, ms] = seconds.split(',');
-  return (
-    parseInt(hours) * 3600 +
-    parseInt(minutes) * 60 +
-    parseInt(secs) +
-    parseInt(ms) / 1000
-  );
+// Look up a text style by name – user presets snapshotted into the job
+// (`customStyles`) or a built-in. Returns a copy so per-item overrides such as
+// fontSize never leak into the shared preset.
+export function resolveTextStyle(name, customStyles = {}) {
+  const style = (customStyles && customStyles[name]) || TEXT_STYLES[name];
+  return style ? { ...style } : null;
 }
 
-// Helper function to parse SRT file
-export function parseSRT(content) {
-  const normalized = content.replace(/\\n/g, '\n');
-  const subtitles = [];
-  const blocks = normalized.trim().split('\n\n');
-
-  console.log('Parsing SRT blocks:', blocks);
-
-  blocks.forEach(block => {
-    const lines = block.split('\n');
-    if (lines.length >= 3) {
-      const timecode = lines[1].split(' --> ');
-      const startTime = srtTimeToSeconds(timecode[0]);
-      const endTime = srtTimeToSeconds(timecode[1]);
-      const text = lines.slice(2).join('\n');
-
-      console.log('Parsed subtitle:', {
-        text,
-        startTime,
-        endTime,
-        duration: endTime - startTime
-      });
-
-      subtitles.push({
-        type: 'text',
-        text,
-        style: 'subtitle',
-        startTime,
-        duration: endTime - startTime,
-        position: 'bottom-center'
-      });
-    }
-  });
-
-  return subtitles;
-}
+// Resolve a position preset name or { x, y } object to drawtext x/y expressions
+const resolvePosition = (position) => {
+  if (typeof position === 'string' && TEXT_POSITIONS[position]) {
+    return TEXT_POSITIONS[position];
+  } else if (typeof position === 'object') {
+    return position;
+  }
+  return TEXT_POSITIONS['middle-center']; // Default to center if invalid position
+};
 
-// Helper function to generate FFmpeg drawtext filter string
-export function generateDrawTextFilter(text, style, position = {}, startTime = 0, duration = 0) {
+// Timing, border, box, shadow and line options shared by every drawtext of a style
+const drawTextStyleOptions = (style, startTime, duration) => {
   const {
-    fontColor = 'white',
-    fontSize = 72,
     borderColor,
     borderWidth = 0,
     boxColor,
     boxBorderWidth = 0,
-    fontFile
+    shadowColor,
+    shadowX = 0,
+    shadowY = 0,
+    lineSpacing
   } = style;
-
-  // Handle predefined positions
-  let positionConfig;
-  if (typeof position === 'string' && TEXT_POSITIONS[position]) {
-    positionConfig = TEXT_POSITIONS[position];
-  } else if (typeof position === 'object') {
-    positionConfig = position;
-  } else {
-    positionConfig = TEXT_POSITIONS['middle-center']; // Default to center if invalid position
-  }
-
-  const { x, y } = positionConfig;
-
-  let filter = `drawtext=fontfile='${fontFile}':`;
-  filter += `fontsize=${fontSize}:`;
-  filter += `fontcolor=${fontColor}:`;
-  filter += `x=${x}:y=${y}:`;
-  filter += `text='${text}'`;
+  let options = '';
 
   // Add timing if specified
   if (startTime > 0 || duration > 0) {
-    filter += `:enable='between(t,${startTime},${startTime + duration})'`;
+    options += `:enable='between(t,${startTime},${startTime + duration})'`;
   }
 
   // Add border if specified
   if (borderColor && borderWidth) {
-    filter += `:bordercolor=${borderColor}:borderw=${borderWidth}`;
+    options += `:bordercolor=${borderColor}:borderw=${borderWidth}`;
   }
 
   // Add box if specified
   if (boxColor) {
-    filter += `:box=1:boxcolor=${boxColor}`;
+    options += `:box=1:boxcolor=${boxColor}`;
     if (boxBorderWidth) {
-      filter += `:boxborderw=${boxBorderWidth}`;
+      options += `:boxborderw=${boxBorderWidth}`;
     }
   }
 
+  // Add drop shadow if specified
+  if (shadowColor && (shadowX || shadowY)) {
+    options += `:shadowcolor=${shadowColor}:shadowx=${shadowX}:shadowy=${shadowY}`;
+  }
+
+  // Multi-line layout. Alignment isn't set here: drawtext's text_align needs
+  // FFmpeg 6.1, so text with more than one line is aligned by layoutText
+  if (lineSpacing) {
+    options += `:line_spacing=${lineSpacing}`;
+  }
+
+  return options;
+};
+
+// Helper function to generate FFmpeg drawtext filter string.
+// `animation` is a normalized text animation (see textAnimations.js).
+export function generateDrawTextFilter(text, style, position = {}, startTime = 0, duration = 0, animation = null) {
+  const {
+    fontColor = 'white',
+    fontSize = 72,
+    opacity = 1,
+    fontFile
+  } = style;
+
+  const { x, y } = resolvePosition(position);
+
+  let filter = `drawtext=fontfile='${fontFile}':`;
+  filter += `fontcolor=${fontColor}:`;
+  if (animation || opacity < 1) {
+    // Animated values are re-evaluated every frame
+    const expressions = buildTextAnimationExpressions(animation, { x, y, fontSize, opacity });
+    filter += `fontsize='${expressions.fontSize}':`;
+    filter += `x='${expressions.x}':y='${expressions.y}':`;
+    filter += `alpha='${expressions.alpha}':`;
+  } else {
+    filter += `fontsize=${fontSize}:`;
+    filter += `x=${x}:y=${y}:`;
+  }
+  filter += `text='${text}'`;
+  filter += drawTextStyleOptions(style, startTime, duration);
+
   return filter;
 }
 
+// drawtext filters for text laid out by layoutText (wrapped lines and/or font
+// fallback runs). The block is placed like a single text: `text_w`/`text_h` in
+// the position refer to the whole block, and each run is offset from its corner.
+export function generateTextBlockFilters(layout, style, position = {}, startTime = 0, duration = 0, animation = null) {
+  const {
+    fontColor = 'white',
+    fontSize = 72,
+    opacity = 1
+  } = style;
+
+  const expressions = buildTextAnimationExpressions(animation, {
+    ...resolvePosition(position),
+    fontSize,
+    opacity,
+    textWidth: layout.width,
+    textHeight: layout.height
+  });
+  // Lines are placed by us, so drawtext's own line options don't apply
+  const options = drawTextStyleOptions({ ...style, lineSpacing: 0 }, startTime, duration);
+
+  return layout.lines.flatMap(line => line.runs.map(run => {
+    // max_glyph_a puts every run's baseline on the line's baseline, whatever its font
+    const x = `${expressions.x}+${run.x}*${expressions.scale}`;
+    const y = `${expressions.y}+${line.baseline}*${expressions.scale}-max_glyph_a`;
+
+    let filter = `drawtext=fontfile='${run.fontFile}':`;
+    filter += `fontcolor=${fontColor}:`;
+    filter += `fontsize='${expressions.fontSize}':`;
+    filter += `x='${x}':y='${y}':`;
+    filter += `alpha='${expressions.alpha}':`;
+    filter += `text='${escapeText(run.text)}'`;
+    return filter + options;
+  }));
+}
+
 // Helper function to escape special characters in text for FFmpeg
 export function escapeText(text) {
   return text
@@ -0,0 +1,174 @@
+import path from "path";
+import fs from "fs-extra";
+import { v4 as uuidv4 } from "uuid";
+
+// Resumable uploads, modelled on tus: a client creates a session with the
+// total size, then appends chunks at the offset the server reports. Whatever
+// arrived before a connection dropped is kept, so the client asks for the
+// current offset and carries on from there instead of starting over.
+//
+// Partial files live in `chunkDir` until the last byte arrives; the caller
+// then moves them into storage. Sessions without activity for `ttl` ms are
+// removed together with their partial file.
+
+// Error with the HTTP status a route should answer with
+const sessionError = (message, statusCode, extra = {}) =>
+  Object.assign(new Error(message), { statusCode, ...extra });
+
+// Session as returned by the API
+export const describeSession = (session) => ({
+  id: session.id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  mimetype: session.mimetype,
+  created: new Date(session.createdAt),
+  expires: new Date(session.expiresAt)
+});
+
+export function createUploadSessionStore({ storePath, chunkDir, ttl = 24 * 60 * 60 * 1000 }) {
+  fs.ensureDirSync(chunkDir);
+  let sessions = {};
+  if (fs.existsSync(storePath)) {
+    try {
+      sessions = fs.readJsonSync(storePath);
+    } catch (error) {
+      console.error("Failed to read upload sessions, starting empty:", error);
+    }
+  }
+  // Ids of sessions with a chunk being written right now
+  const busy = new Set();
+
+  const persist = () => {
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeJsonSync(tmpPath, sessions, { spaces: 2 });
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  const partPath = (id) => path.join(chunkDir, `${id}.part`);
+
+  // The partial file is the source of truth for the offset: a chunk cut off
+  // mid-write (or by a crash) still counts up to its last written byte
+  for (const session of Object.values(sessions)) {
+    session.offset = fs.existsSync(partPath(session.id)) ? fs.statSync(partPath(session.id)).size : 0;
+  }
+  persist();
+
+  const store = {
+    // Sessions of one API key namespace (null without auth)
+    list(owner = null) {
+      return Object.values(sessions)
+        .filter(session => (session.owner || null) === owner)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    get(id) {
+      return sessions[id] || null;
+    },
+
+    partPath,
+
+    create({ filename, size, mimetype, owner = null }) {
+      const now = Date.now();
+      const session = {
+        id: uuidv4(),
+        owner,
+        filename,
+        size,
+        mimetype: mimetype || "application/octet-stream",
+        offset: 0,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: now + ttl
+      };
+      fs.writeFileSync(partPath(session.id), "");
+      sessions[session.id] = session;
+      persist();
+      return session;
+    },
+
+    // Append the request body `stream` at `offset`. Resolves with the session
+    // once the stream ended or broke off; rejects with a `statusCode` when
+    // the offset doesn't match or the chunk would overrun the declared size.
+    async append(id, offset, stream) {
+      const session = sessions[id];
+      if (busy.has(id)) {
+        throw sessionError("Another chunk is being written to this upload", 409, { offset: session.offset });
+      }
+      if (offset !== session.offset) {
+        throw sessionError(`Upload-Offset ${offset} doesn't match the current offset ${session.offset}`, 409, { offset: session.offset });
+      }
+
+      busy.add(id);
+      try {
+        let received = session.offset;
+        let overrun = false;
+        await new Promise((resolve, reject) => {
+          const file = fs.createWriteStream(partPath(id), { flags: "a" });
+          stream.on("data", (chunk) => {
+            // Keep the bytes up to the declared size, drop the rest
+            const room = session.size - received;
+            if (chunk.length > room) {
+              overrun = true;
+              chunk = chunk.subarray(0, Math.max(0, room));
+            }
+            received += chunk.length;
+            if (chunk.length > 0 && !file.write(chunk)) {
+              stream.pause();
+              file.once("drain", () => stream.resume());
+            }
+            if (overrun) {
+              stream.removeAllListeners("data");
+              stream.resume();
+              file.end();
+            }
+          });
+          // A dropped connection still keeps what was written
+          stream.on("end", () => file.end());
+          stream.on("close", () => file.end());
+          stream.on("error", () => file.end());
+          file.on("finish", resolve);
+          file.on("error", reject);
+        });
+
+        const now = Date.now();
+        Object.assign(session, {
+          offset: fs.statSync(partPath(id)).size,
+          updatedAt: now,
+          expiresAt: now + ttl
+        });
+        persist();
+        if (overrun) {
+          throw sessionError(`Chunk goes past the declared upload size of ${session.size} bytes`, 413, { offset: session.offset });
+        }
+        return session;
+      } finally {
+        busy.delete(id);
+      }
+    },
+
+    isBusy(id) {
+      return busy.has(id);
+    },
+
+    // Forget a session; `keepFile` when the partial file was moved elsewhere
+    remove(id, { keepFile = false } = {}) {
+      if (!keepFile) {
+        fs.removeSync(partPath(id));
+      }
+      delete sessions[id];
+      persist();
+    },
+
+    // Drop sessions that saw no activity before their expiry
+    purgeExpired() {
+      const now = Date.now();
+      const expired = Object.values(sessions).filter(session => session.expiresAt < now && !busy.has(session.id));
+      expired.forEach(session => store.remove(session.id));
+      return expired.length;
+    }
+  };
+
+  return store;
+}
+
@@ -0,0 +1,261 @@
+import Ajv from "ajv";
+import { probeMedia, probeSticker } from "./render.js";
+import { buildRenderSchema } from "./renderSchema.js";
+import { resolveOutputSettings } from "./outputProfiles.js";
+import { validateWebhook } from "./webhooks.js";
+import { normalizeSubtitles } from "./captions.js";
+import { TEXT_STYLES } from "./textStyles.js";
+import { normalizeTextAnimation } from "./textAnimations.js";
+import { resolveLoudness, resolveDuckOptions } from "./audioOptions.js";
+import { isValidName } from "./storage.js";
+import { checkVideoOptions, resolveVideoTiming } from "./segmentTiming.js";
+import { checkSegmentFilters } from "./segmentFilters.js";
+import { normalizeMotion } from "./motion.js";
+import { checkStickerOptions, isSequencePattern, sequenceFrames } from "./stickers.js";
+
+// Tolerance when comparing cut points against probed durations (container rounding)
+const DURATION_TOLERANCE = 0.05;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// The schema is rebuilt from live tables, so only recompile when it changed
+let compiledSchema = null;
+let compiledValidator = null;
+const getSchemaValidator = (textStyles) => {
+  const schema = buildRenderSchema({ textStyles });
+  const key = JSON.stringify(schema);
+  if (key !== compiledSchema) {
+    ajv.removeSchema(schema.$id);
+    compiledValidator = ajv.compile(schema);
+    compiledSchema = key;
+  }
+  return compiledValidator;
+};
+
+// "/timeline/0/cut" -> "$.timeline[0].cut"
+const toJsonPath = (pointer) => {
+  return '$' + pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('');
+};
+
+const formatSchemaError = (error) => {
+  let pathName = toJsonPath(error.instancePath);
+  let message = error.message;
+
+  if (error.keyword === 'additionalProperties') {
+    pathName += `.${error.params.additionalProperty}`;
+    message = 'is not an allowed property';
+  } else if (error.keyword === 'required') {
+    pathName += `.${error.params.missingProperty}`;
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  return { path: pathName, message };
+};
+
+// Validate a render request against the JSON Schema, then check everything the
+// schema can't express: referenced uploads exist and can be probed, cut ranges
+// fit the media, and output/webhook settings are usable.
+// Returns every problem found (never throws on invalid input) plus the file map
+// of upload names to storage keys under `prefix`.
+// `textStyles` maps user style preset names to their definitions.
+export async function validateRenderRequest(body, { storage, prefix, textStyles = {} }) {
+  const errors = [];
+  const fileMap = {};
+
+  const validateSchema = getSchemaValidator([...Object.keys(TEXT_STYLES), ...Object.keys(textStyles)]);
+  if (!validateSchema(body)) {
+    const seen = new Set();
+    for (const error of validateSchema.errors) {
+      // if/then wrappers only repeat the errors of the branch they point to
+      if (error.keyword === 'if' || error.keyword === 'oneOf') continue;
+      const formatted = formatSchemaError(error);
+      const key = `${formatted.path} ${formatted.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        errors.push(formatted);
+      }
+    }
+  }
+
+  if (!body || typeof body !== 'object') {
+    return { errors, fileMap };
+  }
+
+  try {
+    resolveOutputSettings({ output: body.output, extension: body.extension, quality: body.quality });
+  } catch (error) {
+    errors.push({ path: body.output !== undefined ? '$.output' : '$.extension', message: error.message });
+  }
+
+  if (body.webhook !== undefined) {
+    const webhookError = validateWebhook(body.webhook);
+    if (webhookError) {
+      errors.push({ path: '$.webhook', message: webhookError });
+    }
+  }
+
+  try {
+    resolveLoudness(body.loudness);
+  } catch (error) {
+    errors.push({ path: '$.loudness', message: error.message });
+  }
+
+  if (body.subtitles !== undefined) {
+    try {
+      normalizeSubtitles(body.subtitles, textStyles);
+    } catch (error) {
+      errors.push({ path: '$.subtitles', message: error.message });
+    }
+  }
+
+  const timeline = Array.isArray(body.timeline) ? body.timeline : [];
+  for (const [index, item] of timeline.entries()) {
+    if (item && item.type === 'text' && item.animation !== undefined) {
+      try {
+        normalizeTextAnimation(item.animation, { startTime: item.startTime || 0, duration: item.duration || 5 });
+      } catch (error) {
+        errors.push({ path: `$.timeline[${index}].animation`, message: error.message });
+      }
+    }
+    if (item && item.type === 'audio' && item.duck) {
+      try {
+        resolveDuckOptions(item.duck);
+      } catch (error) {
+        errors.push({ path: `$.timeline[${index}].duck`, message: error.message });
+      }
+    }
+    if (!item || typeof item !== 'object' || typeof item.filename !== 'string' || !item.filename) continue;
+    const itemPath = `$.timeline[${index}]`;
+
+    if (Array.isArray(item.cut) && item.cut.length === 2 && !(item.cut[1] > item.cut[0])) {
+      errors.push({ path: `${itemPath}.cut`, message: 'end must be after start' });
+    }
+
+    let videoOptionsValid = true;
+    if (item.type === 'video') {
+      try {
+        checkVideoOptions(item);
+      } catch (error) {
+        // The schema usually reported it already
+        const optionPath = `${itemPath}.${error.property}`;
+        if (!errors.some(existing => existing.path === optionPath)) {
+          errors.push({ path: optionPath, message: error.message });
+        }
+        videoOptionsValid = false;
+      }
+    }
+
+    if (item.type === 'video' || item.type === 'image') {
+      try {
+        checkSegmentFilters(item.filters, item.filename);
+      } catch (error) {
+        const filterPath = error.index === null ? `${itemPath}.filters` : `${itemPath}.filters[${error.index}]`;
+        if (!errors.some(existing => existing.path.startsWith(filterPath))) {
+          errors.push({ path: filterPath, message: error.message });
+        }
+      }
+
+      if (item.motion !== undefined) {
+        try {
+          normalizeMotion(item.motion);
+        } catch (error) {
+          if (!errors.some(existing => existing.path.startsWith(`${itemPath}.motion`))) {
+            errors.push({ path: `${itemPath}.motion`, message: error.message });
+          }
+        }
+      }
+
+      // LUTs are uploads too
+      for (const [filterIndex, filter] of (Array.isArray(item.filters) ? item.filters : []).entries()) {
+        if (!filter || filter.type !== 'lut' || typeof filter.filename !== 'string') continue;
+        const lutKey = `${prefix}/${filter.filename}`;
+        if (!isValidName(filter.filename) || !(await storage.exists(lutKey))) {
+          errors.push({ path: `${itemPath}.filters[${filterIndex}].filename`, message: `File not found: ${filter.filename}` });
+        } else {
+          fileMap[filter.filename] = lutKey;
+        }
+      }
+    }
+
+    if (item.type === 'sticker') {
+      try {
+        checkStickerOptions(item);
+      } catch (error) {
+        errors.push({ path: itemPath, message: error.message });
+      }
+    }
+
+    // A PNG sequence sticker needs all of its frames; the first one is probed
+    let probeName = item.filename;
+    if (item.type === 'sticker' && isSequencePattern(item.filename)) {
+      try {
+        const { frames } = sequenceFrames(item.filename, (await storage.list(prefix)).map(file => file.name));
+        frames.forEach(frame => {
+          fileMap[frame] = `${prefix}/${frame}`;
+        });
+        probeName = frames[0];
+      } catch (error) {
+        errors.push({ path: `${itemPath}.filename`, message: error.message });
+        continue;
+      }
+    }
+
+    // Uploads are plain names inside the caller's upload prefix
+    const key = `${prefix}/${probeName}`;
+    if (!isValidName(probeName) || !(await storage.exists(key))) {
+      errors.push({ path: `${itemPath}.filename`, message: `File not found: ${item.filename}` });
+      continue;
+    }
+    fileMap[probeName] = key;
+
+    let metadata;
+    let filePath;
+    try {
+      filePath = await storage.fetch(key);
+      metadata = await probeMedia(filePath);
+    } catch (error) {
+      errors.push({ path: `${itemPath}.filename`, message: `Could not probe ${item.filename}: ${error.message}` });
+      continue;
+    }
+
+    const hasVideo = metadata.streams.some(stream => stream.codec_type === 'video');
+    const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
+    if (['video', 'image', 'overlay', 'sticker'].includes(item.type) && !hasVideo) {
+      errors.push({ path: `${itemPath}.filename`, message: `${item.filename} has no video stream` });
+    }
+    if (item.type === 'audio' && !hasAudio) {
+      errors.push({ path: `${itemPath}.filename`, message: `${item.filename} has no audio stream` });
+    }
+    if (item.type === 'sticker' && hasVideo && !isSequencePattern(item.filename)) {
+      try {
+        await probeSticker(item.filename, filePath);
+      } catch (error) {
+        errors.push({ path: `${itemPath}.filename`, message: error.message });
+      }
+    }
+
+    const duration = metadata.format.duration;
+    if (duration && Array.isArray(item.cut) && item.cut[1] > duration + DURATION_TOLERANCE) {
+      errors.push({
+        path: `${itemPath}.cut[1]`,
+        message: `is past the end of ${item.filename} (${duration}s)`
+      });
+    } else if (duration && item.type === 'video' && videoOptionsValid && !(Array.isArray(item.cut) && !(item.cut[1] > item.cut[0]))) {
+      // Speed, reverse and freeze against the length of the cut
+      try {
+        resolveVideoTiming(item, duration);
+      } catch (error) {
+        errors.push({ path: `${itemPath}.${error.property}`, message: error.message });
+      }
+    }
+  }
+
+  return { errors, fileMap };
+}
@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import path from "path";
+import { jobDuration } from "./jobQueue.js";
+
+const DELIVERY_TIMEOUT = 10000; // ms
+
+// Validate the optional `webhook` block of a render request.
+// Returns an error message, or null if the webhook is usable.
+export function validateWebhook(webhook) {
+  if (typeof webhook !== "object" || webhook === null || Array.isArray(webhook)) {
+    return "Webhook must be an object";
+  }
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    return "Webhook must have a valid 'url'";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return "Webhook url must use http or https";
+  }
+
+  if (webhook.headers !== undefined) {
+    if (typeof webhook.headers !== "object" || webhook.headers === null || Array.isArray(webhook.headers)) {
+      return "Webhook headers must be an object";
+    }
+    if (Object.values(webhook.headers).some(value => typeof value !== "string")) {
+      return "Webhook header values must be strings";
+    }
+  }
+
+  if (webhook.secret !== undefined && (typeof webhook.secret !== "string" || !webhook.secret)) {
+    return "Webhook secret must be a non-empty string";
+  }
+
+  return null;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" – receivers should recompute it and
+// reject stale timestamps to guard against replays.
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const buildPayload = (job) => ({
+  event: `job.${job.status}`,
+  jobId: job.id,
+  status: job.status,
+  output: job.status === "finished" && job.outputPath ? path.basename(job.outputPath) : null,
+  duration: jobDuration(job),
+  error: job.error || null
+});
+
+// Public view of a job's webhook for /status – never exposes the secret or headers
+export const describeWebhook = (webhook) => webhook ? {
+  url: webhook.url,
+  state: webhook.state,
+  attempts: webhook.attempts
+} : undefined;
+
+// Delivers webhooks for jobs that reach a terminal status and records every
+// attempt on the job. Failed deliveries are retried with exponential backoff.
+export function createWebhookDispatcher(queue, { maxAttempts = 5, baseDelay = 2000 } = {}) {
+  const send = async (job) => {
+    const { webhook } = job;
+    const body = JSON.stringify(buildPayload(job));
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = {
+      ...webhook.headers,
+      "Content-Type": "application/json",
+      "User-Agent": "FFmux-Webhook",
+      "X-FFmux-Event": `job.${job.status}`,
+      "X-FFmux-Timestamp": String(timestamp)
+    };
+    if (webhook.secret) {
+      headers["X-FFmux-Signature"] = `sha256=${signPayload(webhook.secret, timestamp, body)}`;
+    }
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+    if (!response.ok) {
+      const error = new Error(`Webhook responded with ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response.status;
+  };
+
+  const deliver = async (job) => {
+    while (job.webhook.attempts.length < maxAttempts) {
+      const attempt = { attempt: job.webhook.attempts.length + 1, at: new Date() };
+      try {
+        attempt.statusCode = await send(job);
+      } catch (error) {
+        attempt.statusCode = error.statusCode;
+        attempt.error = error.message;
+      }
+
+      const delivered = !attempt.error;
+      const exhausted = !delivered && attempt.attempt >= maxAttempts;
+      queue.update(job.id, {
+        webhook: {
+          ...job.webhook,
+          state: delivered ? "delivered" : exhausted ? "failed" : "pending",
+          attempts: [...job.webhook.attempts, attempt]
+        }
+      });
+
+      if (delivered || exhausted) {
+        if (exhausted) {
+          console.error(`Webhook delivery for job ${job.id} failed after ${maxAttempts} attempts`);
+        }
+        return;
+      }
+
+      const delay = baseDelay * 2 ** (attempt.attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  };
+
+  queue.on("end", (job) => {
+    if (!job.webhook) return;
+    deliver(job).catch(error => console.error("Webhook delivery error:", error));
+  });
+
+  return {
+    // Resume deliveries that were still pending when the server stopped
+    resume() {
+      for (const job of queue.list()) {
+        if (job.webhook && job.webhook.state === "pending" && job.finishedAt) {
+          deliver(job).catch(error => console.error("Webhook delivery error:", error));
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// Minimal streaming ZIP writer. Entries are stored uncompressed – rendered
+// media is already compressed – and sizes/CRCs follow each entry in a data
+// descriptor, so files are read exactly once. Entries and archives of 4GB
+// and more get ZIP64 records.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const updateCrc = (crc, chunk) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Sizes, offsets and counts from here on need ZIP64 fields
+const ZIP64_LIMIT = 0xffffffff;
+const ZIP64_COUNT_LIMIT = 0xffff;
+// Version needed to extract: 2.0 for plain entries, 4.5 for ZIP64
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+
+// Write `value` to `stream`, waiting for drain when the buffer is full.
+// Rejects if the stream closes or fails first (e.g. the client went away).
+const write = (stream, value) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error('Stream closed'));
+  } else if (stream.write(value)) {
+    resolve();
+  } else {
+    const settle = (error) => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', onError);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Stream closed'));
+    const onError = (error) => settle(error);
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onError);
+  }
+});
+
+// ZIP64 extended information extra field holding `values` (8 bytes each)
+const zip64Extra = (values) => {
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  return extra;
+};
+
+// Stream a ZIP of `entries` to a writable stream (e.g. an HTTP response).
+// Each entry is { name, modified, size, open } where `open()` returns (or
+// resolves to) a readable stream of the file's contents. `size` decides
+// whether the entry needs ZIP64; without it every entry gets ZIP64 fields.
+export async function writeZip(stream, entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const { time, date } = dosDateTime(entry.modified);
+    const zip64 = entry.size === undefined || entry.size >= ZIP64_LIMIT;
+    // Sizes are in the data descriptor; the local ZIP64 field only announces them
+    const extra = zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0);
+
+    // Local file header; bit 3 = sizes in data descriptor, bit 11 = UTF-8 name
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    await write(stream, header);
+    await write(stream, name);
+    await write(stream, extra);
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of await entry.open()) {
+      crc = updateCrc(crc, chunk);
+      size += chunk.length;
+      if (!zip64 && size >= ZIP64_LIMIT) {
+        throw new Error(`${entry.name} grew past 4GB while it was being zipped`);
+      }
+      await write(stream, chunk);
+    }
+
+    // ZIP64 data descriptors carry 8-byte sizes
+    const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    if (zip64) {
+      descriptor.writeBigUInt64LE(BigInt(size), 8);
+      descriptor.writeBigUInt64LE(BigInt(size), 16);
+    } else {
+      descriptor.writeUInt32LE(size, 8);
+      descriptor.writeUInt32LE(size, 12);
+    }
+    await write(stream, descriptor);
+
+    central.push({ name, crc, size, time, date, offset, zip64 });
+    offset += header.length + name.length + extra.length + size + descriptor.length;
+  }
+
+  // Central directory. Values that don't fit are 0xFFFFFFFF here and move to
+  // the ZIP64 extra field, in the order the format lays down.
+  const directoryOffset = offset;
+  let directorySize = 0;
+  for (const entry of central) {
+    const largeSize = entry.size >= ZIP64_LIMIT;
+    const largeOffset = entry.offset >= ZIP64_LIMIT;
+    const extra = largeSize || largeOffset
+      ? zip64Extra([...(largeSize ? [entry.size, entry.size] : []), ...(largeOffset ? [entry.offset] : [])])
+      : Buffer.alloc(0);
+    const version = entry.zip64 || extra.length ? VERSION_ZIP64 : VERSION;
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(version, 4);
+    record.writeUInt16LE(version, 6);
+    record.writeUInt16LE(0x0808, 8);
+    record.writeUInt16LE(0, 10);
+    record.writeUInt16LE(entry.time, 12);
+    record.writeUInt16LE(entry.date, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(largeSize ? ZIP64_LIMIT : entry.size, 20);
+    record.writeUInt32LE(largeSize ? ZIP64_LIMIT : entry.size, 24);
+    record.writeUInt16LE(entry.name.length, 28);
+    record.writeUInt16LE(extra.length, 30);
+    record.writeUInt32LE(largeOffset ? ZIP64_LIMIT : entry.offset, 42);
+    await write(stream, record);
+    await write(stream, entry.name);
+    await write(stream, extra);
+    directorySize += record.length + entry.name.length + extra.length;
+  }
+
+  const needsZip64 = central.length >= ZIP64_COUNT_LIMIT || directorySize >= ZIP64_LIMIT || directoryOffset >= ZIP64_LIMIT;
+  if (needsZip64) {
+    // ZIP64 end of central directory record, then the locator pointing at it
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeBigUInt64LE(BigInt(central.length), 24);
+    record.writeBigUInt64LE(BigInt(central.length), 32);
+    record.writeBigUInt64LE(BigInt(directorySize), 40);
+    record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+    await write(stream, record);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16);
+    await write(stream, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(central.length, ZIP64_COUNT_LIMIT), 8);
+  end.writeUInt16LE(Math.min(central.length, ZIP64_COUNT_LIMIT), 10);
+  end.writeUInt32LE(Math.min(directorySize, ZIP64_LIMIT), 12);
+  end.writeUInt32LE(Math.min(directoryOffset, ZIP64_LIMIT), 16);
+  await write(stream, end);
+  stream.end();
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { createJobQueue } from "../src/jobQueue.js";
+
+// A journal with `jobs` already in it, and a queue over it
+const queueWith = async (jobs, options) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "jobqueue-"));
+  const storePath = path.join(dir, "jobs.json");
+  await fs.writeJson(storePath, { jobs });
+  const queue = createJobQueue({ storePath, runner: async () => ({ promise: Promise.resolve() }), ...options });
+  return { queue, storePath, cleanup: () => fs.remove(dir) };
+};
+
+const endedJob = (id, finishedAt, extra = {}) => ({
+  id,
+  status: "finished",
+  createdAt: finishedAt - 1000,
+  finishedAt,
+  ...extra
+});
+
+test("history limit drops the oldest ended jobs", async () => {
+  const { queue, cleanup } = await queueWith([
+    endedJob("a", 1000),
+    endedJob("b", 2000),
+    endedJob("c", 3000)
+  ], { historyLimit: 2 });
+  try {
+    assert.deepEqual(queue.list().map(job => job.id).sort(), ["b", "c"]);
+  } finally {
+    await cleanup();
+  }
+});
+
+test("history limit keeps or drops a batch as a whole", async () => {
+  const jobs = [
+    endedJob("old-1", 1000, { batchId: "old" }),
+    endedJob("old-2", 1100, { batchId: "old" }),
+    endedJob("old-3", 1200, { batchId: "old" }),
+    endedJob("new-1", 2000, { batchId: "new" }),
+    endedJob("new-2", 2100, { batchId: "new" }),
+    endedJob("single", 3000)
+  ];
+
+  // The older batch straddles the limit and is kept complete rather than cut
+  const straddling = await queueWith(jobs, { historyLimit: 4 });
+  try {
+    assert.deepEqual(straddling.queue.list().map(job => job.id).sort(),
+      ["new-1", "new-2", "old-1", "old-2", "old-3", "single"]);
+  } finally {
+    await straddling.cleanup();
+  }
+
+  // The newer jobs fill the limit, so the whole older batch goes
+  const full = await queueWith(jobs, { historyLimit: 3 });
+  try {
+    assert.deepEqual(full.queue.list().map(job => job.id).sort(), ["new-1", "new-2", "single"]);
+  } finally {
+    await full.cleanup();
+  }
+});
+
+test("history limit keeps every job of a batch that is still running", async () => {
+  const { queue, cleanup } = await queueWith([
+    endedJob("batch-1", 1000, { batchId: "running" }),
+    endedJob("batch-2", 1100, { batchId: "running" }),
+    { id: "batch-3", status: "queued", createdAt: 900, batchId: "running" },
+    endedJob("x", 2000),
+    endedJob("y", 3000)
+  ], { historyLimit: 1 });
+  try {
+    assert.deepEqual(queue.list().map(job => job.id).sort(), ["batch-1", "batch-2", "batch-3", "y"]);
+  } finally {
+    await cleanup();
+  }
+});
+
+test("a job ending prunes the journal on disk", async () => {
+  const { queue, storePath, cleanup } = await queueWith([
+    endedJob("old-1", 1000, { batchId: "old" }),
+    endedJob("old-2", 1100, { batchId: "old" })
+  ], { historyLimit: 1 });
+  try {
+    const job = queue.enqueue({ fileMap: {} });
+    queue.cancel(job.id);
+    const stored = (await fs.readJson(storePath)).jobs.map(entry => entry.id);
+    assert.deepEqual(stored, [job.id]);
+  } finally {
+    await cleanup();
+  }
+});